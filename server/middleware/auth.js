@@ -1,27 +1,139 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Impersonation = require('../models/Impersonation');
+const AuditLog = require('../models/AuditLog');
+const { can, scopeFor } = require('../services/policy');
+const { setActor } = require('../utils/requestContext');
 
-const auth = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ message: 'Access denied. No token provided.' });
-    }
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid token. User not found.' });
-    }
+// Access tokens are only honoured while their session is active and they
+// were issued for the user's current token version, so logout, revoked
+// sessions, deactivation and password changes take effect immediately.
+// Returns the session, or null when the token has been revoked.
+const loadSession = async (decoded, user, req) => {
+  if (!decoded.sid) return null;
+  if ((decoded.ver || 0) !== (user.tokenVersion || 0)) return null;
 
-    if (!user.isActive) {
-      return res.status(401).json({ message: 'Account is deactivated.' });
-    }
+  const session = await Session.findActive(decoded.sid, user._id);
+  if (!session) return null;
+
+  // Track last-seen without writing on every single request
+  if (Date.now() - session.lastSeenAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    session.lastSeenAt = new Date();
+    session.ip = req.ip;
+    await Session.updateOne({ _id: session._id }, { lastSeenAt: session.lastSeenAt, ip: session.ip });
+  }
+
+  return session;
+};
+
+// Impersonation tokens act as the target user while the impersonation is
+// running and the admin behind it is still active
+const loadImpersonation = async (decoded, user) => {
+  if ((decoded.ver || 0) !== (user.tokenVersion || 0)) return null;
+
+  const impersonation = await Impersonation.findActive(decoded.imp, user._id);
+  if (!impersonation || !impersonation.impersonator || !impersonation.impersonator.isActive) {
+    return null;
+  }
+  return impersonation;
+};
+
+// Record every mutating request made while impersonating
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const auditImpersonatedRequest = (req, res) => {
+  if (SAFE_METHODS.includes(req.method)) return;
+
+  res.on('finish', () => {
+    AuditLog.create({
+      action: 'impersonation.request',
+      actor: req.impersonation.impersonator._id,
+      subject: req.user._id,
+      impersonation: req.impersonation._id,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ip: req.ip
+    }).catch(error => console.error('Audit log error:', error));
+  });
+};
+
+// Personal API keys are accepted in the X-API-Key header or as a Bearer token
+const getApiKey = (req) => {
+  const bearer = req.header('Authorization')?.replace('Bearer ', '');
+  return req.header('X-API-Key') || (ApiKey.isApiKey(bearer) ? bearer : null);
+};
+
+// Resolve the credentials on a request. On success req.user is set together
+// with req.apiKey, req.sessionId or req.impersonation; otherwise the reason
+// the request is not authenticated is returned.
+const authenticate = async (req, res) => {
+  const key = getApiKey(req);
+  if (key) {
+    const apiKey = await ApiKey.findUsable(key);
+    if (!apiKey) return 'Invalid or expired API key.';
+
+    const user = await User.findById(apiKey.user).select('-password');
+    if (!user) return 'Invalid API key. User not found.';
+    if (!user.isActive) return 'Account is deactivated.';
+
+    await apiKey.touch(req.ip);
+
+    req.user = user;
+    req.apiKey = apiKey;
+    return null;
+  }
+
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  
+  if (!token) {
+    return 'Access denied. No token provided.';
+  }
+
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const user = await User.findById(decoded.userId).select('-password');
+  
+  if (!user) {
+    return 'Invalid token. User not found.';
+  }
+
+  if (!user.isActive) {
+    return 'Account is deactivated.';
+  }
+
+  if (decoded.imp) {
+    const impersonation = await loadImpersonation(decoded, user);
+    if (!impersonation) return 'Impersonation has ended.';
 
     req.user = user;
     req.token = token;
+    req.impersonation = impersonation;
+    res.set('X-Impersonated-By', impersonation.impersonator._id.toString());
+    auditImpersonatedRequest(req, res);
+    return null;
+  }
+
+  const session = await loadSession(decoded, user, req);
+  if (!session) {
+    return 'Token has been revoked.';
+  }
+
+  req.user = user;
+  req.token = token;
+  req.sessionId = session._id;
+  return null;
+};
+
+const auth = async (req, res, next) => {
+  try {
+    const failure = await authenticate(req, res);
+    if (failure) {
+      return res.status(401).json({ message: failure });
+    }
+    setActor(req);
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -34,33 +146,15 @@ const auth = async (req, res, next) => {
   }
 };
 
-const adminAuth = async (req, res, next) => {
-  try {
-    await auth(req, res, () => {
-      if (req.user.role !== 'admin') {
-        return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
-      }
-      next();
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Server error.' });
-  }
+// Admins must use two-factor authentication when REQUIRE_ADMIN_2FA is set
+const isTwoFactorMandatory = (user) => {
+  return process.env.REQUIRE_ADMIN_2FA === 'true' && user.role === 'admin';
 };
 
 const optionalAuth = async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
-      
-      if (user && user.isActive) {
-        req.user = user;
-        req.token = token;
-      }
-    }
-    
+    const failure = await authenticate(req, res);
+    if (!failure) setActor(req);
     next();
   } catch (error) {
     // Continue without authentication if token is invalid
@@ -68,4 +162,89 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, adminAuth, optionalAuth }; 
\ No newline at end of file
+// Restrict API key requests to keys holding a scope. Session tokens carry
+// the user's full access and are not limited by scopes.
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.hasScope(scope)) {
+      return res.status(403).json({ message: `API key is missing the required scope: ${scope}` });
+    }
+    next();
+  };
+};
+
+// Account management needs the owner's own interactive session, so it is
+// refused for API keys and while an admin is impersonating the user
+const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({ message: 'This action cannot be performed with an API key.' });
+  }
+  if (req.impersonation) {
+    return res.status(403).json({
+      message: 'This action is not allowed while impersonating a user.',
+      code: 'IMPERSONATION_RESTRICTED'
+    });
+  }
+  next();
+};
+
+// Require a permission from the central policy. API keys additionally need
+// the scope covering that permission.
+const requirePermission = (permission) => {
+  return async (req, res, next) => {
+    try {
+      const scope = scopeFor(permission);
+      if (req.apiKey && !req.apiKey.hasScope(scope)) {
+        return res.status(403).json({ message: `API key is missing the required scope: ${scope}` });
+      }
+
+      if (!(await can(req.user, permission))) {
+        return res.status(403).json({ message: `Access denied. Missing permission: ${permission}` });
+      }
+
+      if (isTwoFactorMandatory(req.user) && !req.user.twoFactor?.enabled) {
+        return res.status(403).json({
+          message: 'Two-factor authentication must be enabled to use admin features.',
+          code: 'TWO_FACTOR_SETUP_REQUIRED'
+        });
+      }
+
+      next();
+    } catch (error) {
+      res.status(500).json({ message: 'Server error.' });
+    }
+  };
+};
+
+// Email verification policy, configured through EMAIL_VERIFICATION_POLICY:
+//   off        - unverified accounts are not restricted
+//   restricted - only actions matching `isRestricted` need a verified email (default)
+//   required   - every route using this middleware needs a verified email
+const requireVerifiedEmail = (isRestricted = () => true) => {
+  return (req, res, next) => {
+    const policy = process.env.EMAIL_VERIFICATION_POLICY || 'restricted';
+
+    if (policy === 'off' || req.user.emailVerified) {
+      return next();
+    }
+
+    if (policy === 'required' || isRestricted(req)) {
+      return res.status(403).json({
+        message: 'Please verify your email address to perform this action.',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  auth,
+  optionalAuth,
+  requireScope,
+  requirePermission,
+  requireSession,
+  requireVerifiedEmail,
+  isTwoFactorMandatory
+}; 
\ No newline at end of file
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const ACTIVITY_ACTIONS = ['created', 'updated', 'status_changed', 'assigned', 'deleted', 'restored'];
+
+// Change log entry for a task, written by the hooks in models/Task.js
+const activitySchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ACTIVITY_ACTIONS,
+    required: true
+  },
+  // Missing for changes made outside a request, e.g. by background jobs
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  // Snapshot of who the task concerned, so feeds keep working after the
+  // task changes hands or is deleted
+  taskTitle: {
+    type: String
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+activitySchema.index({ task: 1, createdAt: -1 });
+activitySchema.index({ participants: 1, createdAt: -1 });
+activitySchema.index({ project: 1, createdAt: -1 });
+
+activitySchema.statics.ACTIONS = ACTIVITY_ACTIONS;
+
+module.exports = mongoose.model('Activity', activitySchema);
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const { hashToken, generateRandomToken } = require('../utils/tokens');
+
+// Personal access tokens look like `pat_<64 hex chars>`
+const API_KEY_PREFIX = 'pat_';
+const API_KEY_SCOPES = ['tasks:read', 'tasks:write', 'users:admin'];
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [50, 'API key name cannot exceed 50 characters']
+  },
+  // First characters of the key, shown so users can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: API_KEY_SCOPES
+  }],
+  expiresAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    // Never expose the hash, even on a freshly created document
+    transform: (doc, ret) => {
+      delete ret.keyHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the key has expired
+apiKeySchema.virtual('isExpired').get(function() {
+  return Boolean(this.expiresAt && this.expiresAt <= new Date());
+});
+
+// Indexes for better query performance
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+
+// Static method to create a key. The plain key is returned once and only
+// its hash is stored.
+apiKeySchema.statics.generate = async function(userId, { name, scopes, expiresAt }) {
+  const secret = generateRandomToken(32);
+  const key = `${API_KEY_PREFIX}${secret}`;
+
+  const apiKey = await this.create({
+    user: userId,
+    name,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    keyHash: hashToken(key),
+    scopes,
+    expiresAt
+  });
+
+  return { key, apiKey };
+};
+
+// Static method to find an unrevoked, unexpired key by its plain value
+apiKeySchema.statics.findUsable = function(key) {
+  return this.findOne({
+    keyHash: hashToken(key),
+    revokedAt: null,
+    $or: [
+      { expiresAt: null },
+      { expiresAt: { $gt: new Date() } }
+    ]
+  });
+};
+
+// Static method to check whether a value looks like an API key
+apiKeySchema.statics.isApiKey = function(value) {
+  return typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+};
+
+// Instance method to record usage without writing on every request
+apiKeySchema.methods.touch = async function(ip) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < LAST_USED_INTERVAL_MS) {
+    return;
+  }
+
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ip;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { lastUsedAt: this.lastUsedAt, lastUsedIp: ip }
+  );
+};
+
+// Instance method to check a scope
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: ['impersonation.start', 'impersonation.stop', 'impersonation.request']
+  },
+  // Who really performed the action
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Whose account the action was performed on or as
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  impersonation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Impersonation'
+  },
+  method: {
+    type: String
+  },
+  path: {
+    type: String
+  },
+  statusCode: {
+    type: Number
+  },
+  ip: {
+    type: String
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ subject: 1, createdAt: -1 });
+auditLogSchema.index({ impersonation: 1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
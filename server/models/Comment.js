@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  // Comment being replied to, and the top-level comment of the thread
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Previous versions of the body, oldest first
+  edits: {
+    type: [{
+      _id: false,
+      body: String,
+      editedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  editedAt: {
+    type: Date
+  },
+  // Comments with replies are blanked rather than removed to keep the thread
+  deletedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+commentSchema.path('body').required(function() {
+  return !this.deletedAt;
+}, 'Comment body is required');
+
+// Indexes for better query performance
+commentSchema.index({ task: 1, thread: 1, createdAt: 1 });
+commentSchema.index({ mentions: 1, createdAt: -1 });
+commentSchema.index({ author: 1 });
+
+// Instance method to change the body, keeping the previous version. The
+// history is appended atomically so it survives even when `edits` was not
+// selected on this document.
+commentSchema.methods.edit = function(body, mentions) {
+  const editedAt = new Date();
+  return this.constructor.findByIdAndUpdate(
+    this._id,
+    {
+      $push: { edits: { body: this.body, editedAt } },
+      body,
+      mentions,
+      editedAt
+    },
+    { new: true, runValidators: true }
+  );
+};
+
+// Static method to remove every comment on the given tasks
+commentSchema.statics.deleteForTasks = function(taskIds) {
+  return this.deleteMany({ task: { $in: [].concat(taskIds) } });
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const impersonationSchema = new mongoose.Schema({
+  // The admin acting as another user
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The user being acted as
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  ip: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+impersonationSchema.index({ impersonator: 1, createdAt: -1 });
+impersonationSchema.index({ user: 1, createdAt: -1 });
+
+// Static method to find an impersonation that is still running for a user,
+// with the impersonator loaded
+impersonationSchema.statics.findActive = function(impersonationId, userId) {
+  return this.findOne({
+    _id: impersonationId,
+    user: userId,
+    endedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).populate('impersonator', 'username email role isActive');
+};
+
+module.exports = mongoose.model('Impersonation', impersonationSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Lease held by the server instance currently running a background job, so
+// jobs run on one instance at a time when several are deployed
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to take (or extend) the lease on a job. Returns false while
+// another owner holds an unexpired lease.
+jobLockSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+  try {
+    await this.findOneAndUpdate(
+      { name, $or: [{ owner }, { lockedUntil: { $lte: now } }] },
+      { owner, lockedUntil: new Date(now.getTime() + ttlMs) },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // The upsert collides with the lease held by someone else
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Static method to give up a lease early
+jobLockSchema.statics.release = function(name, owner) {
+  return this.deleteOne({ name, owner });
+};
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['reminder', 'overdue'];
+const DELIVERY_STATUSES = ['sent', 'failed', 'skipped'];
+
+// A notification sent to a user. The stored document doubles as the in-app
+// notification; `deliveries` records the outcome for every other channel.
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String
+  },
+  // Identifies the event being notified about. Unique, so an event is only
+  // ever notified once however many times (or instances) the scheduler runs.
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  deliveries: [{
+    _id: false,
+    channel: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES,
+      required: true
+    },
+    error: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { hashToken } = require('../utils/tokens');
+
+// Pending OpenID Connect authorization requests, kept server-side so the
+// PKCE verifier and nonce never travel through the browser
+const oauthStateSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  // Set when a signed-in user is linking a provider to their account
+  linkUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to consume a state exactly once
+oauthStateSchema.statics.consume = function(state, provider) {
+  return this.findOneAndDelete({
+    stateHash: hashToken(state),
+    provider,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('OAuthState', oauthStateSchema);
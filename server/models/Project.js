@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Highest role first; owners manage the project and its members, editors
+// manage its tasks and viewers can only see them
+const PROJECT_ROLES = ['owner', 'editor', 'viewer'];
+
+const projectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true,
+    maxlength: [100, 'Project name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Project description cannot exceed 500 characters']
+  },
+  members: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: PROJECT_ROLES,
+      default: 'viewer'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Work-in-progress limits per board column (task status); columns
+  // without one are unlimited
+  wipLimits: {
+    type: Map,
+    of: {
+      type: Number,
+      min: [1, 'WIP limits must be at least 1']
+    },
+    default: {}
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+projectSchema.index({ 'members.user': 1 });
+
+const memberId = (member) => (member.user._id || member.user).toString();
+
+// Instance method to get a user's role in the project, or null
+projectSchema.methods.roleOf = function(userId) {
+  const member = this.members.find(m => memberId(m) === userId.toString());
+  return member ? member.role : null;
+};
+
+// Instance method to check a user holds at least the given role
+projectSchema.methods.hasRole = function(userId, minimumRole) {
+  const role = this.roleOf(userId);
+  return Boolean(role) && PROJECT_ROLES.indexOf(role) <= PROJECT_ROLES.indexOf(minimumRole);
+};
+
+// Instance method to check whether removing or demoting a member would
+// leave the project without an owner
+projectSchema.methods.isLastOwner = function(userId) {
+  const owners = this.members.filter(m => m.role === 'owner');
+  return owners.length === 1 && memberId(owners[0]) === userId.toString();
+};
+
+// Static method to get the ids of every project a user belongs to,
+// optionally only those where they hold at least `minimumRole`
+projectSchema.statics.idsForMember = function(userId, minimumRole) {
+  const roles = minimumRole
+    ? PROJECT_ROLES.slice(0, PROJECT_ROLES.indexOf(minimumRole) + 1)
+    : PROJECT_ROLES;
+  return this.find({ members: { $elemMatch: { user: userId, role: { $in: roles } } } }).distinct('_id');
+};
+
+projectSchema.statics.ROLES = PROJECT_ROLES;
+
+module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { hashToken, generateRandomToken } = require('../utils/tokens');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // All tokens rotated from the same login share a family; the family id
+  // is the id of the Session created at login
+  family: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'revoked-by-user', 'reuse-detected', 'deactivated', 'password-reset', 'password-changed', 'account-deletion']
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  },
+  createdByIp: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Session is resolved lazily because it depends on this model
+const revokeSession = (sessionId) => {
+  return mongoose.model('Session').revoke(sessionId, 'reuse-detected');
+};
+
+const refreshError = (message) => {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+};
+
+// Expiry for a refresh token issued now
+refreshTokenSchema.statics.expiryFromNow = function() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Static method to issue a new refresh token in a family
+refreshTokenSchema.statics.issue = async function(userId, options = {}) {
+  const refreshToken = generateRandomToken();
+  const doc = await this.create({
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    family: options.family,
+    expiresAt: this.expiryFromNow(),
+    createdByIp: options.ip
+  });
+
+  return { refreshToken, doc };
+};
+
+// Static method to exchange a refresh token for a new one in the same family.
+// Presenting a token that was already rotated revokes the whole session.
+refreshTokenSchema.statics.rotate = async function(refreshToken, options = {}) {
+  const existing = await this.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!existing) {
+    throw refreshError('Invalid refresh token');
+  }
+
+  if (existing.revokedAt) {
+    if (existing.revokedReason === 'rotated') {
+      await revokeSession(existing.family);
+      throw refreshError('Refresh token reuse detected');
+    }
+    throw refreshError('Refresh token has been revoked');
+  }
+
+  if (existing.expiresAt <= new Date()) {
+    throw refreshError('Refresh token expired');
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const claimed = await this.findOneAndUpdate(
+    { _id: existing._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'rotated' },
+    { new: true }
+  );
+  if (!claimed) {
+    await revokeSession(existing.family);
+    throw refreshError('Refresh token reuse detected');
+  }
+
+  const issued = await this.issue(existing.user, { family: existing.family, ip: options.ip });
+  claimed.replacedBy = issued.doc._id;
+  await claimed.save();
+
+  return issued;
+};
+
+// Static method to revoke every active token in a family
+refreshTokenSchema.statics.revokeFamily = function(family, reason = 'logout') {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
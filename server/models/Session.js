@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const RefreshToken = require('./RefreshToken');
+
+const REVOKE_REASONS = ['logout', 'revoked-by-user', 'reuse-detected', 'deactivated', 'password-reset', 'password-changed', 'account-deletion'];
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  ip: {
+    type: String
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Pushed forward whenever the session's refresh token is rotated
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: REVOKE_REASONS
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Indexes for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to find a usable session belonging to a user
+sessionSchema.statics.findActive = function(sessionId, userId) {
+  return this.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to revoke a session together with its refresh tokens
+sessionSchema.statics.revoke = async function(sessionId, reason = 'logout') {
+  await this.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  await RefreshToken.revokeFamily(sessionId, reason);
+};
+
+// Static method to revoke every session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = async function(userId, reason = 'logout', options = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (options.except) filter._id = { $ne: options.except };
+
+  const sessionIds = await this.find(filter).distinct('_id');
+  if (sessionIds.length === 0) return 0;
+
+  await this.updateMany(
+    { _id: { $in: sessionIds } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  await RefreshToken.updateMany(
+    { family: { $in: sessionIds }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  return sessionIds.length;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const Activity = require('./Activity');
+const TaskSeries = require('./TaskSeries');
+const { getContext } = require('../utils/requestContext');
+const { rankBetween, ranksBetween } = require('../utils/rank');
+
+// Fields whose changes are recorded in the activity log
+const TRACKED_FIELDS = ['title', 'description', 'status', 'priority', 'dueDate', 'tags', 'assignedTo', 'isPublic', 'project', 'parent', 'blockedBy'];
+
+// Statuses in which a task no longer blocks others
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+// Guard against walking corrupted (already cyclic) link chains forever
+const MAX_LINK_DEPTH = 100;
 
 const taskSchema = new mongoose.Schema({
   title: {
@@ -48,10 +61,78 @@ const taskSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Tasks in a project are governed by project membership
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
   isPublic: {
     type: Boolean,
     default: false
-  }
+  },
+  // Subtasks point at their parent task
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  // Tasks that must be closed before this one can be completed
+  blockedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  // Recurring tasks: the series this occurrence belongs to, its position in
+  // the series and the occurrence created when it was completed
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskSeries'
+  },
+  occurrence: {
+    type: Number
+  },
+  nextOccurrence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  // Position within the task's status column on the board, see utils/rank.js
+  rank: {
+    type: String
+  },
+  // Trashed tasks are hidden from queries until restored or purged, see
+  // services/trash.js
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Uploaded files; the content lives in the storage driver under `key`
+  attachments: [{
+    filename: {
+      type: String,
+      required: true
+    },
+    contentType: {
+      type: String,
+      required: true
+    },
+    size: {
+      type: Number,
+      required: true
+    },
+    key: {
+      type: String,
+      required: true
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -75,6 +156,40 @@ taskSchema.index({ assignedTo: 1 });
 taskSchema.index({ createdBy: 1 });
 taskSchema.index({ dueDate: 1 });
 taskSchema.index({ tags: 1 });
+taskSchema.index({ project: 1 });
+taskSchema.index({ parent: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ deletedAt: 1 }, { sparse: true });
+// Full-text search, see utils/searchQuery.js; titles weigh the most
+taskSchema.index(
+  { title: 'text', description: 'text', tags: 'text' },
+  { name: 'task_text', weights: { title: 10, tags: 5, description: 1 } }
+);
+taskSchema.index({ series: 1, status: 1 });
+taskSchema.index({ status: 1, rank: 1 });
+
+// Query middleware hiding trashed tasks. Queries see them only when they
+// filter on `deletedAt` themselves or set the `withDeleted` option; bulk
+// updates and deletes are not filtered so cleanups also reach the trash.
+function excludeTrashed() {
+  if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return;
+  this.where({ deletedAt: null });
+}
+
+taskSchema.pre(['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate'], excludeTrashed);
+
+// Aggregations get the condition merged into a leading $match, which must
+// stay first when it holds a $text search
+taskSchema.pre('aggregate', function() {
+  if (this.options.withDeleted) return;
+
+  const [first] = this.pipeline();
+  if (first && first.$match) {
+    if (first.$match.deletedAt === undefined) first.$match.deletedAt = null;
+  } else {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
 
 // Pre-save middleware to set completedAt
 taskSchema.pre('save', function(next) {
@@ -86,16 +201,168 @@ taskSchema.pre('save', function(next) {
   next();
 });
 
-// Static method to get tasks by user
-taskSchema.statics.findByUser = function(userId, options = {}) {
-  const query = {
+// New tasks, and tasks changing column other than through a board move, go
+// to the bottom of their status column
+taskSchema.pre('save', async function() {
+  if (this.$locals.ranked || !(this.isNew || this.isModified('status'))) return;
+  this.rank = await this.constructor.rankAfterLast(this.status);
+});
+
+// Plain, comparable form of a field value for the activity log
+const plainValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value._id instanceof mongoose.Types.ObjectId) return value._id.toString();
+  if (Array.isArray(value)) return value.map(plainValue);
+  return value;
+};
+
+const snapshot = (task) => {
+  return Object.fromEntries(TRACKED_FIELDS.map(field => [field, plainValue(task.get(field))]));
+};
+
+// Split field changes into activity entries: status and assignee changes get
+// their own action, everything else is an update
+const entriesFor = (changes) => {
+  const groups = { status_changed: [], assigned: [], updated: [] };
+  for (const change of changes) {
+    if (change.field === 'status') groups.status_changed.push(change);
+    else if (change.field === 'assignedTo') groups.assigned.push(change);
+    else groups.updated.push(change);
+  }
+  return Object.entries(groups)
+    .filter(([, group]) => group.length > 0)
+    .map(([action, group]) => ({ action, changes: group }));
+};
+
+// Write activity entries for a task on behalf of the current actor. The log
+// must never break the change itself, so failures are only reported.
+const recordActivity = async (task, entries, previousAssignee) => {
+  const { actor, impersonator } = getContext();
+  const participants = [...new Set(
+    [task.createdBy, task.assignedTo, previousAssignee, actor]
+      .map(plainValue)
+      .filter(Boolean)
+  )];
+
+  try {
+    await Activity.insertMany(entries.map(entry => ({
+      ...entry,
+      task: task._id,
+      actor,
+      impersonator,
+      taskTitle: task.title,
+      project: plainValue(task.project) || undefined,
+      participants
+    })));
+  } catch (error) {
+    console.error('Record activity error:', error);
+  }
+};
+
+// Activity hooks. Changes made through save() (including markComplete,
+// assignTo and moving to or from the trash) are recorded; bulk
+// updateMany/deleteMany calls bypass them.
+taskSchema.post('init', function() {
+  this.$locals.snapshot = snapshot(this);
+});
+
+taskSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  this.$locals.completing = !this.isNew && this.isModified('status') && this.status === 'completed';
+  this.$locals.trashing = !this.isNew && this.isModified('deletedAt');
+  next();
+});
+
+taskSchema.post('save', async function() {
+  const before = this.$locals.snapshot || {};
+  const after = snapshot(this);
+  this.$locals.snapshot = after;
+
+  if (this.$locals.wasNew) {
+    const changes = TRACKED_FIELDS
+      .filter(field => after[field] !== null && !(Array.isArray(after[field]) && after[field].length === 0))
+      .map(field => ({ field, from: null, to: after[field] }));
+    return recordActivity(this, [{ action: 'created', changes }]);
+  }
+
+  if (this.$locals.trashing) {
+    return recordActivity(this, [{ action: this.deletedAt ? 'deleted' : 'restored', changes: [] }]);
+  }
+
+  const changes = TRACKED_FIELDS
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+
+  if (changes.length > 0) {
+    await recordActivity(this, entriesFor(changes), before.assignedTo);
+  }
+});
+
+// Completing an occurrence of a recurring task (through any route, or
+// markComplete) creates the next one
+taskSchema.post('save', async function() {
+  if (!this.$locals.completing || !this.series || this.nextOccurrence) return;
+
+  try {
+    const series = await TaskSeries.findById(this.series);
+    if (series) await series.spawnAfter(this);
+  } catch (error) {
+    console.error('Create next occurrence error:', error);
+  }
+});
+
+// Static method to build the query for every task a user can see: tasks in
+// their projects, their own or assigned tasks outside projects, and public tasks
+taskSchema.statics.visibleTo = function(userId, projectIds = []) {
+  return {
     $or: [
-      { createdBy: userId },
-      { assignedTo: userId },
+      { project: { $in: projectIds } },
+      { project: null, createdBy: userId },
+      { project: null, assignedTo: userId },
       { isPublic: true }
     ]
   };
+};
+
+// Static method to get a rank below every task in a status column
+taskSchema.statics.rankAfterLast = async function(status) {
+  const last = await this.findOne({ status, rank: { $ne: null } })
+    .setOptions({ withDeleted: true })
+    .sort({ rank: -1 })
+    .select('rank');
+  return rankBetween(last ? last.rank : null, null);
+};
+
+// Static method to give ranks to the tasks of a status column that predate
+// board ordering. They keep their creation order, above the ranked tasks.
+taskSchema.statics.rankUnranked = async function(status) {
+  const unranked = await this.find({ status, rank: null })
+    .setOptions({ withDeleted: true })
+    .sort({ createdAt: 1, _id: 1 })
+    .select('_id');
+  if (unranked.length === 0) return;
+
+  const first = await this.findOne({ status, rank: { $ne: null } })
+    .setOptions({ withDeleted: true })
+    .sort({ rank: 1 })
+    .select('rank');
+  const ranks = ranksBetween(null, first ? first.rank : null, unranked.length);
+
+  await this.bulkWrite(unranked.map((task, index) => ({
+    updateOne: {
+      filter: { _id: task._id, rank: null },
+      update: { rank: ranks[index] }
+    }
+  })));
+};
+
+// Static method to get tasks by user
+taskSchema.statics.findByUser = function(userId, options = {}) {
+  const query = this.visibleTo(userId, options.projectIds);
   
+  if (options.project) query.project = options.project;
   if (options.status) query.status = options.status;
   if (options.priority) query.priority = options.priority;
   
@@ -105,11 +372,74 @@ taskSchema.statics.findByUser = function(userId, options = {}) {
     .sort({ createdAt: -1 });
 };
 
-// Instance method to mark as complete
+// Static method to check whether making `parentId` the parent of `taskId`
+// would turn the subtask tree into a loop
+taskSchema.statics.wouldCreateParentCycle = async function(taskId, parentId) {
+  let current = parentId;
+  for (let depth = 0; current && depth < MAX_LINK_DEPTH; depth++) {
+    if (current.toString() === taskId.toString()) return true;
+    const ancestor = await this.findById(current).select('parent').lean();
+    current = ancestor && ancestor.parent;
+  }
+  return Boolean(current);
+};
+
+// Static method to check whether `blockerId` blocking `taskId` would create a
+// dependency loop, i.e. the blocker already (indirectly) waits for the task
+taskSchema.statics.wouldCreateBlockCycle = async function(taskId, blockerId) {
+  const target = taskId.toString();
+  const seen = new Set();
+  let frontier = [blockerId.toString()];
+
+  for (let depth = 0; frontier.length > 0; depth++) {
+    if (frontier.includes(target) || depth >= MAX_LINK_DEPTH) return true;
+    frontier.forEach(id => seen.add(id));
+
+    const tasks = await this.find({ _id: { $in: frontier } }).select('blockedBy').lean();
+    frontier = [...new Set(tasks.flatMap(task => task.blockedBy.map(id => id.toString())))]
+      .filter(id => !seen.has(id));
+  }
+  return false;
+};
+
+// Static method to remove links pointing at tasks that are going away
+taskSchema.statics.detachLinks = async function(taskIds) {
+  const ids = [].concat(taskIds);
+  await this.updateMany({ parent: { $in: ids } }, { $unset: { parent: 1 } });
+  await this.updateMany({ blockedBy: { $in: ids } }, { $pull: { blockedBy: { $in: ids } } });
+};
+
+// Instance method to get the blockers that are still open
+taskSchema.methods.getOpenBlockers = function() {
+  if (this.blockedBy.length === 0) return Promise.resolve([]);
+  return this.constructor.find({
+    _id: { $in: this.blockedBy },
+    status: { $nin: CLOSED_STATUSES }
+  }).select('title status');
+};
+
+// Instance method to summarise subtask progress; cancelled subtasks do not
+// count. Routes pass the subtasks the viewer can see so hidden ones do not
+// show up in the totals; without them every subtask is counted.
+taskSchema.methods.getProgress = async function(subtasks) {
+  if (!subtasks) {
+    subtasks = await this.constructor.find({ parent: this._id }).select('status').lean();
+  }
+  const counted = subtasks.filter(subtask => subtask.status !== 'cancelled');
+  const completed = counted.filter(subtask => subtask.status === 'completed').length;
+
+  return {
+    total: counted.length,
+    completed,
+    percent: counted.length > 0 ? Math.round((completed / counted.length) * 100) : null
+  };
+};
+
+// Instance method to mark as complete; overdue tasks can be completed too
 taskSchema.methods.markComplete = function() {
   this.status = 'completed';
   this.completedAt = new Date();
-  return this.save();
+  return this.save({ validateModifiedOnly: true });
 };
 
 // Instance method to assign to user
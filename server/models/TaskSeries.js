@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { parseRule, nextOccurrence } = require('../utils/recurrence');
+
+// Fields copied from the series template onto every new occurrence
+const TEMPLATE_FIELDS = ['title', 'description', 'priority', 'tags', 'assignedTo', 'isPublic', 'project'];
+
+// A recurring task. Each occurrence is a regular Task pointing at its series;
+// completing one creates the next from the template.
+const taskSeriesSchema = new mongoose.Schema({
+  // Canonical RRULE, see utils/recurrence.js
+  rule: {
+    type: String,
+    required: true
+  },
+  // Due date of the first occurrence, which anchors the schedule
+  start: {
+    type: Date,
+    required: true
+  },
+  template: {
+    title: String,
+    description: String,
+    priority: String,
+    tags: [String],
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    isPublic: Boolean,
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Occurrences created so far, counted against COUNT
+  occurrences: {
+    type: Number,
+    default: 1
+  },
+  endedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to copy the template fields of a task
+taskSeriesSchema.statics.templateFrom = function(task) {
+  return Object.fromEntries(TEMPLATE_FIELDS.map(field => [field, task.get ? task.get(field) : task[field]]));
+};
+
+// Instance method to create the occurrence following a completed one.
+// Missed occurrences are skipped so the next one is always in the future.
+// Returns the new task, or null when the series is over or the next
+// occurrence was already created.
+taskSeriesSchema.methods.spawnAfter = async function(task) {
+  const Task = mongoose.model('Task');
+  if (this.endedAt) return null;
+
+  const rule = parseRule(this.rule);
+  const after = new Date(Math.max(task.dueDate ? task.dueDate.getTime() : 0, Date.now()));
+  const dueDate = rule.count && this.occurrences >= rule.count
+    ? null
+    : nextOccurrence(rule, this.start, after);
+
+  if (!dueDate) {
+    this.endedAt = new Date();
+    await this.save();
+    return null;
+  }
+
+  // Claim the follow-up first so completing the same task twice (or from two
+  // requests at once) cannot create two occurrences
+  const nextId = new mongoose.Types.ObjectId();
+  const claimed = await Task.updateOne(
+    { _id: task._id, nextOccurrence: null },
+    { nextOccurrence: nextId }
+  );
+  if (claimed.modifiedCount === 0) return null;
+  task.nextOccurrence = nextId;
+
+  const series = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { occurrences: 1 } },
+    { new: true }
+  );
+
+  return Task.create({
+    _id: nextId,
+    ...this.toObject().template,
+    dueDate,
+    series: this._id,
+    occurrence: series.occurrences,
+    createdBy: this.createdBy
+  });
+};
+
+taskSeriesSchema.statics.TEMPLATE_FIELDS = TEMPLATE_FIELDS;
+
+module.exports = mongoose.model('TaskSeries', taskSeriesSchema);
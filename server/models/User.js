@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { hashToken, generateRandomToken } = require('../utils/tokens');
+const { verifyTotp } = require('../utils/totp');
+const { roleExists } = require('../services/policy');
+
+// What happens to a deleted user's tasks, see services/accountDeletion.js
+const DELETION_TASK_STRATEGIES = ['reassign', 'anonymize', 'delete'];
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -20,14 +26,25 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    // Accounts created through an external identity provider have no password
+    required: [function() {
+      return !this.identities || this.identities.length === 0;
+    }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false
   },
+  // Built-in (`user`, `admin`) or custom role name, see services/policy.js
   role: {
     type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
+    default: 'user',
+    validate: {
+      // Saves validate every path; the role is only looked up when it is set
+      validator: function(value) {
+        if (this instanceof mongoose.Document && !this.isNew && !this.isModified('role')) return true;
+        return roleExists(value);
+      },
+      message: 'Role does not exist'
+    }
   },
   isActive: {
     type: Boolean,
@@ -35,6 +52,131 @@ const userSchema = new mongoose.Schema({
   },
   lastLogin: {
     type: Date
+  },
+  // External identities (OpenID Connect) linked to this account
+  identities: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerificationSentAt: {
+    type: Date
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation during enrolment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last TOTP time step accepted, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date
+  },
+  // Incremented whenever credentials change; access tokens carry the version
+  // they were issued for and are rejected once it no longer matches
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Self-service deletion waiting out its grace period
+  deletion: {
+    requestedAt: {
+      type: Date
+    },
+    scheduledFor: {
+      type: Date
+    },
+    taskStrategy: {
+      type: String,
+      enum: DELETION_TASK_STRATEGIES
+    },
+    reassignTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Due-date reminders and overdue notices, see services/reminders.js
+  notificationPreferences: {
+    // Minutes before a task's due date at which to send a reminder
+    reminderOffsets: {
+      type: [Number],
+      default: [24 * 60, 60]
+    },
+    overdue: {
+      type: Boolean,
+      default: true
+    },
+    // Delivery channels, see services/notifications.js
+    channels: {
+      type: [String],
+      default: ['in-app', 'email']
+    },
+    webhookUrl: {
+      type: String,
+      trim: true
+    }
   }
 }, {
   timestamps: true,
@@ -47,9 +189,19 @@ userSchema.virtual('profileUrl').get(function() {
   return `/api/users/${this._id}`;
 });
 
+// Virtual for whether logins are currently refused
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+});
+
 // Index for better query performance
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -58,6 +210,11 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    if (!this.isNew) {
+      this.tokenVersion = (this.tokenVersion || 0) + 1;
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error) {
     next(error);
@@ -66,6 +223,7 @@ userSchema.pre('save', async function(next) {
 
 // Instance method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -73,22 +231,270 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.recoveryCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
   return userObject;
 };
 
+// Instance method to generate new one-time recovery codes. Only hashes are
+// stored; the plain codes are returned once for the user to keep.
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = generateRandomToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(code => hashToken(code));
+  return codes;
+};
+
+// Instance method to check a second factor: a TOTP code or an unused
+// recovery code. Requires the two-factor secrets to have been selected.
+// Returns 'totp', 'recovery' or null; the caller must save the user.
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  const normalized = String(code || '').trim().toLowerCase();
+
+  const step = verifyTotp(this.twoFactor.secret, normalized, {
+    afterStep: this.twoFactor.lastUsedStep ?? -1
+  });
+  if (step !== null) {
+    this.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  const codeHash = hashToken(normalized);
+  const recoveryCodes = this.twoFactor.recoveryCodes || [];
+  if (recoveryCodes.includes(codeHash)) {
+    this.twoFactor.recoveryCodes = recoveryCodes.filter(hash => hash !== codeHash);
+    return 'recovery';
+  }
+
+  return null;
+};
+
+// Instance method to create an email verification token (only the hash is stored)
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = generateRandomToken(32);
+  const expiresHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+
+  this.emailVerificationToken = hashToken(verificationToken);
+  this.emailVerificationExpires = new Date(Date.now() + expiresHours * 60 * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
+
+  return verificationToken;
+};
+
+// Instance method to create a password reset token (only the hash is stored)
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = generateRandomToken(32);
+  const expiresMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + expiresMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Login throttling settings
+const lockoutSettings = () => ({
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 15,
+  freeAttempts: 2,
+  maxDelaySeconds: 30
+});
+
+// Instance method to record a failed login. After a couple of free attempts
+// each failure adds an exponentially growing delay, and reaching the maximum
+// locks the account for LOGIN_LOCK_MINUTES.
+userSchema.methods.registerFailedLogin = async function() {
+  const { maxAttempts, lockMinutes, freeAttempts, maxDelaySeconds } = lockoutSettings();
+
+  // Start counting again once a previous lockout has run out
+  if (this.lockUntil && this.lockUntil <= new Date() && this.failedLoginAttempts >= maxAttempts) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { failedLoginAttempts: 0, $unset: { lockUntil: 1 } }
+    );
+  }
+
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  const attempts = updated.failedLoginAttempts;
+
+  let lockUntil;
+  if (attempts >= maxAttempts) {
+    lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+  } else if (attempts > freeAttempts) {
+    const delaySeconds = Math.min(2 ** (attempts - freeAttempts - 1), maxDelaySeconds);
+    lockUntil = new Date(Date.now() + delaySeconds * 1000);
+  }
+
+  if (lockUntil) {
+    await this.constructor.updateOne({ _id: this._id }, { lockUntil });
+  }
+
+  this.failedLoginAttempts = attempts;
+  this.lockUntil = lockUntil;
+};
+
+// Instance method to build the error returned while logins are refused
+userSchema.methods.getLockError = function() {
+  const { maxAttempts } = lockoutSettings();
+  const locked = this.failedLoginAttempts >= maxAttempts;
+  const error = new Error(locked
+    ? 'Account is temporarily locked due to too many failed login attempts'
+    : 'Too many failed login attempts. Please wait before trying again');
+
+  error.code = locked ? 'ACCOUNT_LOCKED' : 'LOGIN_THROTTLED';
+  error.status = locked ? 423 : 429;
+  error.retryAfter = Math.max(1, Math.ceil((this.lockUntil - Date.now()) / 1000));
+  return error;
+};
+
+// Instance method to clear failed login tracking
+userSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+};
+
 // Static method to find user by credentials
 userSchema.statics.findByCredentials = async function(email, password) {
   const user = await this.findOne({ email }).select('+password');
   if (!user) {
     throw new Error('Invalid login credentials');
   }
+
+  // Refuse to check the password at all while the account is locked
+  if (user.isLocked) {
+    throw user.getLockError();
+  }
   
   const isMatch = await user.comparePassword(password);
   if (!isMatch) {
+    await user.registerFailedLogin();
     throw new Error('Invalid login credentials');
   }
   
   return user;
 };
 
+// Static method to check whether a user is the only active admin left
+userSchema.statics.isLastAdmin = async function(userId) {
+  const admins = await this.find({ role: 'admin', isActive: true }).select('_id').limit(2);
+  return admins.length === 1 && admins[0]._id.equals(userId);
+};
+
+const identityError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Derive a free username from identity provider claims
+const usernameFromClaims = async (User, claims) => {
+  const base = (claims.preferred_username || claims.email.split('@')[0])
+    .replace(/[^a-zA-Z0-9_]/g, '')
+    .slice(0, 24)
+    .padEnd(3, '_');
+
+  let candidate = base;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    if (!(await User.exists({ username: candidate }))) return candidate;
+    candidate = `${base}_${Math.floor(1000 + Math.random() * 9000)}`;
+  }
+  return `${base.slice(0, 17)}_${generateRandomToken(6)}`;
+};
+
+// Static method to resolve an external identity to a user. Existing links
+// win; otherwise the identity is linked to `options.linkUser` (an explicit,
+// signed-in link request), to an account with the same email when both sides
+// have verified that address, or to a newly created account.
+userSchema.statics.findOrCreateFromIdentity = async function(provider, claims, options = {}) {
+  const identity = { provider, subject: String(claims.sub) };
+  const email = claims.email && claims.email.toLowerCase();
+  const linkedUser = await this.findOne({ identities: { $elemMatch: identity } });
+
+  if (options.linkUser) {
+    if (linkedUser && !linkedUser._id.equals(options.linkUser)) {
+      throw identityError('This external account is already linked to another user', 409);
+    }
+    const user = linkedUser || await this.findById(options.linkUser);
+    if (!user) {
+      throw identityError('User not found', 404);
+    }
+    if (!linkedUser) {
+      user.identities.push({ ...identity, email });
+      await user.save();
+    }
+    return { user, linked: !linkedUser };
+  }
+
+  if (linkedUser) {
+    return { user: linkedUser };
+  }
+
+  if (!email) {
+    throw identityError('The identity provider did not share an email address', 400);
+  }
+
+  const existingUser = await this.findOne({ email });
+  if (existingUser) {
+    if (claims.email_verified === true && existingUser.emailVerified) {
+      existingUser.identities.push({ ...identity, email });
+      await existingUser.save();
+      return { user: existingUser, linked: true };
+    }
+    throw identityError('An account with this email already exists. Sign in and link the provider from your account instead', 409);
+  }
+
+  const user = await this.create({
+    username: await usernameFromClaims(this, claims),
+    email,
+    emailVerified: claims.email_verified === true,
+    identities: [{ ...identity, email }]
+  });
+  return { user, created: true };
+};
+
+// Static method to consume a password reset token. The token is cleared in
+// the same operation so it can only ever be used once.
+userSchema.statics.consumePasswordResetToken = async function(resetToken) {
+  return await this.findOneAndUpdate(
+    {
+      passwordResetToken: hashToken(resetToken),
+      passwordResetExpires: { $gt: new Date() }
+    },
+    { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to consume an email verification token and mark the email verified
+userSchema.statics.consumeEmailVerificationToken = async function(verificationToken) {
+  return await this.findOneAndUpdate(
+    {
+      emailVerificationToken: hashToken(verificationToken),
+      emailVerificationExpires: { $gt: new Date() }
+    },
+    {
+      $set: { emailVerified: true },
+      $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+    },
+    { new: true }
+  );
+};
+
+userSchema.statics.DELETION_TASK_STRATEGIES = DELETION_TASK_STRATEGIES;
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
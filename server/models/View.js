@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// Task list parameters a view may store, see utils/taskFilters.js and
+// services/taskSearch.js
+const VIEW_FILTERS = [
+  'search',
+  'status',
+  'priority',
+  'project',
+  'assignedTo',
+  'createdBy',
+  'tags',
+  'tagMatch',
+  'dueAfter',
+  'dueBefore',
+  'createdAfter',
+  'createdBefore',
+  'updatedAfter',
+  'updatedBefore',
+  'overdue'
+];
+
+// Task fields a client may show as list columns
+const VIEW_COLUMNS = ['title', 'status', 'priority', 'dueDate', 'assignedTo', 'createdBy', 'tags', 'project', 'createdAt', 'updatedAt'];
+
+const MAX_VIEWS_PER_USER = 50;
+
+// A saved task list query. Filters are stored as list parameters and applied
+// for whoever opens the view, so `assignedTo: 'me'` means the viewer and
+// tasks they cannot see stay hidden.
+const viewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'View name is required'],
+    trim: true,
+    maxlength: [50, 'View name cannot exceed 50 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filters: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  sort: {
+    type: String,
+    trim: true
+  },
+  columns: {
+    type: [{ type: String, enum: VIEW_COLUMNS }],
+    default: ['title', 'status', 'priority', 'dueDate']
+  },
+  // Users the owner shared the view with; they can use it but not change it
+  sharedWith: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Users who made this their default view, at most one view each
+  defaultFor: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+viewSchema.index({ owner: 1 });
+viewSchema.index({ sharedWith: 1 });
+viewSchema.index({ defaultFor: 1 });
+
+// Static method to build the query for views a user may use
+viewSchema.statics.accessibleTo = function(userId) {
+  return { $or: [{ owner: userId }, { sharedWith: userId }] };
+};
+
+// Instance method to check whether a user owns the view
+viewSchema.methods.isOwnedBy = function(userId) {
+  return (this.owner._id || this.owner).equals(userId);
+};
+
+// Instance method to get the list parameters of the view as a query object
+viewSchema.methods.toListQuery = function() {
+  return {
+    ...Object.fromEntries(this.filters),
+    ...(this.sort && { sort: this.sort })
+  };
+};
+
+// Static method to make a view the user's default, replacing any other
+viewSchema.statics.setDefault = async function(view, userId) {
+  await this.updateMany({ defaultFor: userId, _id: { $ne: view._id } }, { $pull: { defaultFor: userId } });
+  await this.updateOne({ _id: view._id }, { $addToSet: { defaultFor: userId } });
+};
+
+// Instance method to get the view as seen by a user. Only the owner sees who
+// it is shared with.
+viewSchema.methods.toJSONFor = function(userId) {
+  const owned = this.isOwnedBy(userId);
+  const view = this.toJSON();
+
+  delete view.defaultFor;
+  if (!owned) delete view.sharedWith;
+
+  return {
+    ...view,
+    isOwner: owned,
+    isDefault: this.defaultFor.some(id => id.equals(userId))
+  };
+};
+
+viewSchema.statics.FILTERS = VIEW_FILTERS;
+viewSchema.statics.COLUMNS = VIEW_COLUMNS;
+viewSchema.statics.MAX_PER_USER = MAX_VIEWS_PER_USER;
+
+module.exports = mongoose.model('View', viewSchema);
@@ -0,0 +1,50 @@
+const express = require('express');
+const Activity = require('../models/Activity');
+const Project = require('../models/Project');
+const { auth, requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/activity
+// @desc    Activity feed for the current user: changes to tasks they created,
+//          are assigned to or changed themselves, and to their projects' tasks
+// @access  Private
+router.get('/', auth, requireScope('tasks:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const projectIds = await Project.idsForMember(req.user._id);
+    const query = {
+      $or: [
+        { participants: req.user._id },
+        { project: { $in: projectIds } }
+      ]
+    };
+
+    const activity = await Activity.find(query)
+      .select('-participants')
+      .populate('actor', 'username')
+      .populate('impersonator', 'username')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await Activity.countDocuments(query);
+
+    res.json({
+      activity,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get activity feed error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const { auth, requireSession } = require('../middleware/auth');
+const { can } = require('../services/policy');
+
+const router = express.Router();
+
+// API keys are managed from an interactive session only
+router.use(auth, requireSession);
+
+// @route   GET /api/auth/me/api-keys
+// @desc    List the current user's API keys
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user._id, revokedAt: null })
+      .sort({ createdAt: -1 });
+
+    res.json({ apiKeys });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/me/api-keys
+// @desc    Create a personal API key
+// @access  Private
+router.post('/', [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name is required and must be less than 50 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(ApiKey.SCOPES)
+    .withMessage(`Scopes must be one of: ${ApiKey.SCOPES.join(', ')}`),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, expiresAt } = req.body;
+
+    // Users cannot grant a key more than they are allowed themselves
+    if (scopes.includes('users:admin') && !(await can(req.user, 'users:read'))) {
+      return res.status(403).json({ message: 'Only user administrators can create keys with the users:admin scope' });
+    }
+
+    const { key, apiKey } = await ApiKey.generate(req.user._id, {
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+
+    res.status(201).json({
+      message: 'API key created. Copy it now, it will not be shown again',
+      key,
+      apiKey
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/me/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    res.json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid API key ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,166 @@
+const express = require('express');
+const multer = require('multer');
+const Task = require('../models/Task');
+const { auth, requireScope } = require('../middleware/auth');
+const { canViewTask, canUpdateTask } = require('../services/policy');
+const { getStorage } = require('../services/storage');
+const { maxFileSize, addAttachment, removeAttachment } = require('../services/attachments');
+const { getContext, runWithContext } = require('../utils/requestContext');
+
+// Mounted at /api/tasks/:taskId/attachments
+const router = express.Router({ mergeParams: true });
+
+// Load the task into req.task; attachments follow the task's view rules
+const loadTask = async (req, res, next) => {
+  try {
+    const task = await Task.findById(req.params.taskId);
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    if (!(await canViewTask(req.user, task))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    req.task = task;
+    next();
+  } catch (error) {
+    console.error('Load task error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid task ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+router.use(auth, loadTask);
+
+// Parse a single multipart `file` field into req.file. Files are kept in
+// memory (bounded by the size limit) and handed to the storage driver.
+const uploadFile = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileSize(), files: 1 }
+  }).single('file');
+
+  // Multer calls back from stream events, outside the request context
+  const context = getContext();
+  upload(req, res, (error) => runWithContext(context, () => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: `File is too large. The limit is ${maxFileSize() / (1024 * 1024)} MB` });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: `Upload failed: ${error.message}` });
+    }
+    console.error('Upload error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }));
+};
+
+const findAttachment = (req) => req.task.attachments.id(req.params.attachmentId);
+
+// @route   GET /api/tasks/:taskId/attachments
+// @desc    List the attachments of a task
+// @access  Private
+router.get('/', requireScope('tasks:read'), async (req, res) => {
+  try {
+    await req.task.populate('attachments.uploadedBy', 'username');
+    res.json({ attachments: req.task.attachments });
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/:taskId/attachments
+// @desc    Upload a file (multipart field `file`) to a task
+// @access  Private
+router.post('/', requireScope('tasks:write'), async (req, res, next) => {
+  try {
+    if (!(await canUpdateTask(req.user, req.task))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    next();
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}, uploadFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'A file is required in the `file` field' });
+    }
+
+    const attachment = await addAttachment(req.task, req.file, req.user);
+
+    res.status(201).json({
+      message: 'Attachment uploaded successfully',
+      attachment
+    });
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/tasks/:taskId/attachments/:attachmentId
+// @desc    Download an attachment
+// @access  Private
+router.get('/:attachmentId', requireScope('tasks:read'), async (req, res) => {
+  try {
+    const attachment = findAttachment(req);
+    const stream = attachment && await getStorage().get(attachment.key);
+
+    if (!stream) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    res.attachment(attachment.filename);
+    res.set({
+      'Content-Type': attachment.contentType,
+      'Content-Length': attachment.size
+    });
+
+    stream.on('error', (error) => {
+      console.error('Download attachment error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/:taskId/attachments/:attachmentId
+// @desc    Delete an attachment (its uploader, or anyone who may edit the task)
+// @access  Private
+router.delete('/:attachmentId', requireScope('tasks:write'), async (req, res) => {
+  try {
+    const attachment = findAttachment(req);
+
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const isUploader = attachment.uploadedBy && attachment.uploadedBy.equals(req.user._id);
+    if (!isUploader && !(await canUpdateTask(req.user, req.task))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await removeAttachment(req.task, attachment);
+
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/audit
+// @desc    Query the audit log, optionally by user (as actor or subject),
+//          action or impersonation
+// @access  Private (audit:read)
+router.get('/', auth, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { user, action, impersonation } = req.query;
+
+    const query = {};
+    if (user) {
+      if (!mongoose.isValidObjectId(user)) {
+        return res.status(400).json({ message: 'Invalid user ID' });
+      }
+      query.$or = [{ actor: user }, { subject: user }];
+    }
+    if (action) query.action = String(action);
+    if (impersonation) {
+      if (!mongoose.isValidObjectId(impersonation)) {
+        return res.status(400).json({ message: 'Invalid impersonation ID' });
+      }
+      query.impersonation = impersonation;
+    }
+
+    const entries = await AuditLog.find(query)
+      .populate('actor', 'username email')
+      .populate('subject', 'username email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,36 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const Impersonation = require('../models/Impersonation');
+const AuditLog = require('../models/AuditLog');
+const { auth, requireSession } = require('../middleware/auth');
+const { generateAccessToken } = require('../utils/tokens');
+const { sendMail, frontendUrl } = require('../services/mailer');
+const { issueTokens, completeLogin } = require('../services/auth');
+const { scheduleDeletion, cancelDeletion, buildAccountExport } = require('../services/accountDeletion');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+// Shared password strength rules
+const passwordRules = (field) => body(field)
+  .isLength({ min: 6 })
+  .withMessage('Password must be at least 6 characters long')
+  .matches(/\d/)
+  .withMessage('Password must contain at least one number');
+
+// Create a fresh verification token and mail it to the user's current address
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\n` +
+      'Please confirm your email address by opening the link below:\n\n' +
+      `${frontendUrl('/verify-email', { token: verificationToken })}`
   });
 };
 
@@ -26,11 +47,7 @@ router.post('/register', [
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/\d/)
-    .withMessage('Password must contain at least one number')
+  passwordRules('password')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -64,12 +81,21 @@ router.post('/register', [
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // A failed verification email should not fail the registration;
+    // the user can request another one later
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: user.getPublicProfile()
     });
   } catch (error) {
@@ -105,31 +131,249 @@ router.post('/login', [
     // Find user by credentials
     const user = await User.findByCredentials(email, password);
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    // Second factor still outstanding, or tokens for a completed login
+    const result = await completeLogin(user, req);
+
+    if (result.twoFactorRequired) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: result.challengeToken
+      });
+    }
 
-    // Generate token
-    const token = generateToken(user._id);
+    const { token, refreshToken } = result;
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: user.getPublicProfile()
     });
   } catch (error) {
+    if (error.code === 'ACCOUNT_LOCKED' || error.code === 'LOGIN_THROTTLED') {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.status).json({
+        message: error.message,
+        code: error.code,
+        retryAfter: error.retryAfter
+      });
+    }
     console.error('Login error:', error);
     res.status(401).json({ message: 'Invalid credentials' });
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { refreshToken, doc } = await RefreshToken.rotate(req.body.refreshToken, { ip: req.ip });
+
+    const user = await User.findById(doc.user);
+    if (!user || !user.isActive) {
+      await Session.revoke(doc.family, 'deactivated');
+      return res.status(401).json({ message: 'Account is deactivated' });
+    }
+
+    // Keep the session alive for as long as its refresh token is
+    await Session.updateOne(
+      { _id: doc.family },
+      { lastSeenAt: new Date(), ip: req.ip, expiresAt: doc.expiresAt }
+    );
+
+    res.json({
+      token: generateAccessToken(user, { sid: doc.family }),
+      refreshToken
+    });
+  } catch (error) {
+    if (error.status === 401) {
+      return res.status(401).json({ message: error.message });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+
+    if (user) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.username},\n\n` +
+          'We received a request to reset your password. Use the link below to choose a new one:\n\n' +
+          `${frontendUrl('/reset-password', { token: resetToken })}\n\n` +
+          'If you did not request this, you can ignore this email.'
+      });
+    }
+
+    // Always respond the same way so the endpoint cannot be used to discover accounts
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password using a reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  passwordRules('password')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.consumePasswordResetToken(req.body.token);
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    user.password = req.body.password;
+    user.resetLoginAttempts();
+    await user.save();
+
+    // Sign the user out everywhere
+    await Session.revokeAllForUser(user._id, 'password-reset');
+
+    res.json({ message: 'Password has been reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/verify-email
+// @desc    Confirm an email address using a verification token
+// @access  Public
+router.get('/verify-email', [
+  query('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.consumeEmailVerificationToken(req.query.token);
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    res.json({
+      message: 'Email verified successfully',
+      user: user.getPublicProfile()
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend the email verification link
+// @access  Private
+router.post('/resend-verification', auth, requireSession, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    // Throttle resends per account
+    const throttleSeconds = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+    const lastSentAt = req.user.emailVerificationSentAt;
+    if (lastSentAt) {
+      const retryAfter = Math.ceil((lastSentAt.getTime() + throttleSeconds * 1000 - Date.now()) / 1000);
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          message: 'Verification email was sent recently. Please try again later.',
+          retryAfter
+        });
+      }
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
 router.get('/me', auth, async (req, res) => {
   try {
     res.json({
-      user: req.user.getPublicProfile()
+      user: req.user.getPublicProfile(),
+      ...(req.impersonation && {
+        impersonatedBy: {
+          id: req.impersonation.impersonator._id,
+          username: req.impersonation.impersonator.username,
+          expiresAt: req.impersonation.expiresAt
+        }
+      })
     });
   } catch (error) {
     console.error('Get profile error:', error);
@@ -140,7 +384,7 @@ router.get('/me', auth, async (req, res) => {
 // @route   PUT /api/auth/me
 // @desc    Update current user profile
 // @access  Private
-router.put('/me', auth, [
+router.put('/me', auth, requireSession, [
   body('username')
     .optional()
     .isLength({ min: 3, max: 30 })
@@ -169,6 +413,10 @@ router.put('/me', auth, [
     if (username) updates.username = username;
     if (email) updates.email = email;
 
+    // A new address has to be verified again
+    const emailChanged = Boolean(email) && email !== req.user.email;
+    if (emailChanged) updates.emailVerified = false;
+
     // Check if username or email already exists
     if (username || email) {
       const existingUser = await User.findOne({
@@ -193,6 +441,14 @@ router.put('/me', auth, [
       { new: true, runValidators: true }
     ).select('-password');
 
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+    }
+
     res.json({
       message: 'Profile updated successfully',
       user: user.getPublicProfile()
@@ -203,13 +459,264 @@ router.put('/me', auth, [
   }
 });
 
+// @route   PUT /api/auth/me/password
+// @desc    Change password for the current user
+// @access  Private
+router.put('/me/password', auth, requireSession, [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  passwordRules('newPassword')
+    .custom((value, { req }) => value !== req.body.currentPassword)
+    .withMessage('New password must be different from the current password')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isMatch = await user.comparePassword(req.body.currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    // Saving a new password bumps tokenVersion, invalidating every access token
+    user.password = req.body.newPassword;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'password-changed');
+
+    // Keep the current client signed in with a fresh token pair
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.json({
+      message: 'Password changed successfully',
+      token,
+      refreshToken
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/me/export
+// @desc    Download everything stored about the current user as JSON
+// @access  Private
+router.get('/me/export', auth, requireSession, async (req, res) => {
+  try {
+    const data = await buildAccountExport(req.user);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.attachment(`account-export-${req.user.username}-${date}.json`);
+    res.type('application/json');
+    res.send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error('Export account error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/me/deletion
+// @desc    Delete the current account after a grace period
+// @access  Private
+router.post('/me/deletion', auth, requireSession, [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('taskStrategy')
+    .optional()
+    .isIn(User.DELETION_TASK_STRATEGIES)
+    .withMessage(`Task strategy must be one of: ${User.DELETION_TASK_STRATEGIES.join(', ')}`),
+  body('reassignTo')
+    .optional()
+    .isMongoId()
+    .withMessage('reassignTo must be a valid user ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    if (await User.isLastAdmin(user._id)) {
+      return res.status(400).json({ message: 'The last admin cannot delete their account' });
+    }
+
+    const result = await scheduleDeletion(user, {
+      taskStrategy: req.body.taskStrategy,
+      reassignTo: req.body.reassignTo
+    });
+
+    if (result.deleted) {
+      return res.json({ message: 'Account deleted', tasks: result.tasks });
+    }
+
+    // Only the current device stays signed in, so the request can be cancelled
+    await Session.revokeAllForUser(user._id, 'account-deletion', { except: req.sessionId });
+
+    await sendMail({
+      to: user.email,
+      subject: 'Your account is scheduled for deletion',
+      text: `Hi ${user.username},\n\n` +
+        `Your account and its data will be deleted on ${result.scheduledFor.toUTCString()}.\n\n` +
+        'If you change your mind, sign in and cancel the deletion before then.'
+    });
+
+    res.status(202).json({
+      message: 'Account scheduled for deletion',
+      deletion: user.deletion
+    });
+  } catch (error) {
+    console.error('Request account deletion error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/me/deletion
+// @desc    Cancel a pending account deletion
+// @access  Private
+router.delete('/me/deletion', auth, requireSession, async (req, res) => {
+  try {
+    const cancelled = await cancelDeletion(req.user);
+
+    if (!cancelled) {
+      return res.status(404).json({ message: 'No account deletion is pending' });
+    }
+
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', auth, requireSession, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: session._id.equals(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out of every session except the current one
+// @access  Private
+router.delete('/sessions', auth, requireSession, async (req, res) => {
+  try {
+    const revoked = await Session.revokeAllForUser(req.user._id, 'revoked-by-user', {
+      except: req.sessionId
+    });
+
+    res.json({
+      message: 'Signed out of all other sessions',
+      revoked
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out of a single session
+// @access  Private
+router.delete('/sessions/:id', auth, requireSession, async (req, res) => {
+  try {
+    const session = await Session.findActive(req.params.id, req.user._id);
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await Session.revoke(session._id, 'revoked-by-user');
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid session ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/impersonation/stop
+// @desc    End the impersonation the current token belongs to
+// @access  Private (impersonation token)
+router.post('/impersonation/stop', auth, async (req, res) => {
+  try {
+    if (!req.impersonation) {
+      return res.status(400).json({ message: 'Not impersonating a user' });
+    }
+
+    await Impersonation.updateOne({ _id: req.impersonation._id }, { endedAt: new Date() });
+
+    await AuditLog.create({
+      action: 'impersonation.stop',
+      actor: req.impersonation.impersonator._id,
+      subject: req.user._id,
+      impersonation: req.impersonation._id,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: 200,
+      ip: req.ip
+    });
+
+    res.json({ message: 'Impersonation ended' });
+  } catch (error) {
+    console.error('Stop impersonation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user by revoking the current session
 // @access  Private
-router.post('/logout', auth, async (req, res) => {
+router.post('/logout', auth, requireSession, async (req, res) => {
   try {
-    // In a real application, you might want to blacklist the token
-    // For now, we'll just return a success message
+    await Session.revoke(req.sessionId, 'logout');
+
     res.json({ message: 'Logged out successfully' });
   } catch (error) {
     console.error('Logout error:', error);
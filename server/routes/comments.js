@@ -0,0 +1,273 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Comment = require('../models/Comment');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { auth, requireScope } = require('../middleware/auth');
+const { canViewTask, canUpdateTask } = require('../services/policy');
+const { extractMentions } = require('../utils/mentions');
+
+// Mounted at /api/tasks/:taskId/comments
+const router = express.Router({ mergeParams: true });
+
+const commentBodyRule = () => body('body')
+  .trim()
+  .isLength({ min: 1, max: 2000 })
+  .withMessage('Comment is required and must be less than 2000 characters');
+
+// Load the task into req.task; comments follow the task's view rules
+const loadTask = async (req, res, next) => {
+  try {
+    const task = await Task.findById(req.params.taskId);
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    if (!(await canViewTask(req.user, task))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    req.task = task;
+    next();
+  } catch (error) {
+    console.error('Load task error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid task ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+router.use(auth, loadTask);
+
+// Users mentioned in a comment who can see the task
+const resolveMentions = async (task, text) => {
+  const usernames = extractMentions(text);
+  if (usernames.length === 0) return [];
+
+  const users = await User.find({ username: { $in: usernames }, isActive: true }).select('username role');
+  const mentioned = [];
+  for (const user of users) {
+    if (await canViewTask(user, task)) mentioned.push(user._id);
+  }
+  return mentioned;
+};
+
+const findComment = (req) => Comment.findOne({ _id: req.params.commentId, task: req.task._id });
+
+// Nest replies under the comment they answer
+const buildThreads = (topLevel, replies) => {
+  const byParent = new Map();
+  for (const reply of replies) {
+    const key = reply.parent.toString();
+    if (!byParent.has(key)) byParent.set(key, []);
+    byParent.get(key).push(reply);
+  }
+
+  const withReplies = (comment) => ({
+    ...comment.toJSON(),
+    replies: (byParent.get(comment._id.toString()) || []).map(withReplies)
+  });
+
+  return topLevel.map(withReplies);
+};
+
+// @route   GET /api/tasks/:taskId/comments
+// @desc    Get top-level comments on a task with their replies
+// @access  Private
+router.get('/', requireScope('tasks:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const query = { task: req.task._id, thread: null };
+
+    const topLevel = await Comment.find(query)
+      .populate('author', 'username')
+      .populate('mentions', 'username')
+      .sort({ createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const replies = await Comment.find({
+      task: req.task._id,
+      thread: { $in: topLevel.map(comment => comment._id) }
+    })
+      .populate('author', 'username')
+      .populate('mentions', 'username')
+      .sort({ createdAt: 1 });
+
+    const total = await Comment.countDocuments(query);
+
+    res.json({
+      comments: buildThreads(topLevel, replies),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/:taskId/comments
+// @desc    Comment on a task, or reply to a comment with `parent`
+// @access  Private
+router.post('/', requireScope('tasks:write'), [
+  commentBodyRule(),
+  body('parent')
+    .optional()
+    .isMongoId()
+    .withMessage('Parent must be a valid comment ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let parent;
+    if (req.body.parent) {
+      parent = await Comment.findOne({ _id: req.body.parent, task: req.task._id });
+      if (!parent || parent.deletedAt) {
+        return res.status(400).json({ message: 'Cannot reply to a comment that does not exist' });
+      }
+    }
+
+    const comment = await Comment.create({
+      task: req.task._id,
+      author: req.user._id,
+      body: req.body.body,
+      parent: parent && parent._id,
+      thread: parent && (parent.thread || parent._id),
+      mentions: await resolveMentions(req.task, req.body.body)
+    });
+
+    await comment.populate([
+      { path: 'author', select: 'username' },
+      { path: 'mentions', select: 'username' }
+    ]);
+
+    res.status(201).json({
+      message: 'Comment added successfully',
+      comment
+    });
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/tasks/:taskId/comments/:commentId/history
+// @desc    Get the previous versions of a comment
+// @access  Private
+router.get('/:commentId/history', requireScope('tasks:read'), async (req, res) => {
+  try {
+    const comment = await findComment(req).select('+edits');
+
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    res.json({
+      current: { body: comment.body, editedAt: comment.editedAt || comment.createdAt },
+      edits: comment.edits
+    });
+  } catch (error) {
+    console.error('Get comment history error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid comment ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/tasks/:taskId/comments/:commentId
+// @desc    Edit your own comment
+// @access  Private
+router.put('/:commentId', requireScope('tasks:write'), [
+  commentBodyRule()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const comment = await findComment(req);
+
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (!comment.author.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Only the author can edit a comment' });
+    }
+
+    const updated = await comment.edit(req.body.body, await resolveMentions(req.task, req.body.body));
+    await updated.populate([
+      { path: 'author', select: 'username' },
+      { path: 'mentions', select: 'username' }
+    ]);
+
+    res.json({
+      message: 'Comment updated successfully',
+      comment: updated
+    });
+  } catch (error) {
+    console.error('Update comment error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid comment ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/:taskId/comments/:commentId
+// @desc    Delete a comment (its author, or anyone who may edit the task)
+// @access  Private
+router.delete('/:commentId', requireScope('tasks:write'), async (req, res) => {
+  try {
+    const comment = await findComment(req);
+
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (!comment.author.equals(req.user._id) && !(await canUpdateTask(req.user, req.task))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // Keep a placeholder when others have replied so the thread stays intact
+    if (await Comment.exists({ parent: comment._id })) {
+      await Comment.updateOne(
+        { _id: comment._id },
+        { $unset: { body: 1, edits: 1 }, mentions: [], deletedAt: new Date() }
+      );
+    } else {
+      await comment.deleteOne();
+    }
+
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid comment ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,180 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const { auth, requireScope, requireSession } = require('../middleware/auth');
+const { channelNames } = require('../services/notifications');
+const { MAX_REMINDER_OFFSET_MINUTES } = require('../services/reminders');
+const { checkPublicUrl } = require('../utils/publicAddress');
+
+const router = express.Router();
+
+// Notifications delivered to the in-app channel
+const inAppQuery = (user) => ({ user: user._id, 'deliveries.channel': 'in-app' });
+
+// @route   GET /api/notifications
+// @desc    Get the current user's notifications, newest first. `unread=true`
+//          limits the list to unread ones.
+// @access  Private
+router.get('/', auth, requireScope('tasks:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const query = inAppQuery(req.user);
+    if (req.query.unread === 'true') query.readAt = null;
+
+    const notifications = await Notification.find(query)
+      .select('-deliveries -key')
+      .populate('task', 'title dueDate status')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const [total, unread] = await Promise.all([
+      Notification.countDocuments(query),
+      Notification.countDocuments({ ...inAppQuery(req.user), readAt: null })
+    ]);
+
+    res.json({
+      notifications,
+      unread,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Get the current user's reminder and delivery preferences
+// @access  Private
+router.get('/preferences', auth, requireScope('tasks:read'), (req, res) => {
+  res.json({
+    preferences: req.user.notificationPreferences,
+    availableChannels: channelNames()
+  });
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update reminder offsets (minutes before the due date), overdue
+//          notices, delivery channels and the webhook URL
+// @access  Private
+router.put('/preferences', auth, requireSession, [
+  body('reminderOffsets')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Reminder offsets must be a list of at most 5 values'),
+  body('reminderOffsets.*')
+    .isInt({ min: 1, max: MAX_REMINDER_OFFSET_MINUTES })
+    .withMessage(`Reminder offsets must be between 1 and ${MAX_REMINDER_OFFSET_MINUTES} minutes`)
+    .toInt(),
+  body('overdue')
+    .optional()
+    .isBoolean()
+    .withMessage('overdue must be a boolean'),
+  body('channels')
+    .optional()
+    .isArray()
+    .withMessage('Channels must be an array'),
+  body('channels.*')
+    .custom(value => channelNames().includes(value))
+    .withMessage(() => `Channels must be one of: ${channelNames().join(', ')}`),
+  body('webhookUrl')
+    .optional({ values: 'null' })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: process.env.NODE_ENV === 'production' })
+    .withMessage('Webhook URL must be a valid http(s) URL')
+    .bail()
+    // Webhooks must not reach the server's own network
+    .custom(async value => {
+      await checkPublicUrl(value);
+    })
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const preferences = req.user.notificationPreferences;
+    const { reminderOffsets, overdue, channels, webhookUrl } = req.body;
+
+    if (reminderOffsets !== undefined) {
+      preferences.reminderOffsets = [...new Set(reminderOffsets)].sort((a, b) => b - a);
+    }
+    if (overdue !== undefined) preferences.overdue = overdue;
+    if (channels !== undefined) preferences.channels = [...new Set(channels)];
+    if (webhookUrl !== undefined) preferences.webhookUrl = webhookUrl || undefined;
+
+    if (preferences.channels.includes('webhook') && !preferences.webhookUrl) {
+      return res.status(400).json({ message: 'A webhook URL is required for the webhook channel' });
+    }
+
+    await req.user.save();
+
+    res.json({
+      message: 'Notification preferences updated successfully',
+      preferences: req.user.notificationPreferences
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.post('/read-all', auth, requireScope('tasks:write'), async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { ...inAppQuery(req.user), readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({ message: 'Notifications marked as read', updated: result.modifiedCount });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PATCH /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.patch('/:id/read', auth, requireScope('tasks:write'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid notification ID' });
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.id, ...inAppQuery(req.user) })
+      .select('-deliveries -key');
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({ message: 'Notification marked as read', notification });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
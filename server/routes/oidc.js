@@ -0,0 +1,151 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { auth, optionalAuth, requireSession } = require('../middleware/auth');
+const { completeLogin } = require('../services/auth');
+const oidc = require('../services/oidc');
+
+const router = express.Router();
+
+// Resolve the :provider parameter to its configuration
+router.param('provider', (req, res, next, name) => {
+  try {
+    const provider = oidc.getProvider(name.toLowerCase());
+    if (!provider) {
+      return res.status(404).json({ message: 'Unknown identity provider' });
+    }
+    req.oidcProvider = provider;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/oidc
+// @desc    List configured identity providers
+// @access  Public
+router.get('/', (req, res) => {
+  res.json({ providers: oidc.listProviders() });
+});
+
+// @route   GET /api/auth/oidc/:provider/authorize
+// @desc    Get the provider URL to start a sign-in. When called with a
+//          session token the external account is linked to that user.
+// @access  Public
+router.get('/:provider/authorize', optionalAuth, async (req, res) => {
+  try {
+    if (req.apiKey || req.impersonation) {
+      return res.status(403).json({ message: 'This action requires your own interactive session.' });
+    }
+
+    const authorizationUrl = await oidc.createAuthorizationUrl(req.oidcProvider, {
+      linkUser: req.user && req.user._id
+    });
+
+    res.json({ authorizationUrl });
+  } catch (error) {
+    console.error('OIDC authorize error:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/oidc/:provider/callback
+// @desc    Complete a sign-in with the code and state returned by the provider.
+//          A link started from account settings must be completed with the
+//          same user's session token.
+// @access  Public
+router.post('/:provider/callback', optionalAuth, [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  body('state')
+    .isString()
+    .notEmpty()
+    .withMessage('State is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const provider = req.oidcProvider;
+    const { claims, linkUser } = await oidc.handleCallback(provider, req.body);
+
+    // Otherwise anyone holding the code and state could link their external
+    // account to the user who started the link
+    if (linkUser && (!req.user || req.apiKey || req.impersonation || !req.user._id.equals(linkUser))) {
+      return res.status(403).json({ message: 'Linking must be completed by the user who started it' });
+    }
+    const { user, created, linked } = await User.findOrCreateFromIdentity(provider.name, claims, { linkUser });
+
+    if (!user.isActive) {
+      return res.status(401).json({ message: 'Account is deactivated' });
+    }
+
+    // Linking from account settings does not start a new session
+    if (linkUser) {
+      return res.json({
+        message: linked ? 'Identity linked successfully' : 'Identity already linked',
+        user: user.getPublicProfile()
+      });
+    }
+
+    const result = await completeLogin(user, req);
+
+    if (result.twoFactorRequired) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: result.challengeToken
+      });
+    }
+
+    res.status(created ? 201 : 200).json({
+      message: 'Login successful',
+      token: result.token,
+      refreshToken: result.refreshToken,
+      user: user.getPublicProfile()
+    });
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/oidc/:provider/link
+// @desc    Unlink an external identity from the current user
+// @access  Private
+router.delete('/:provider/link', auth, requireSession, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+    const remaining = user.identities.filter(identity => identity.provider !== req.oidcProvider.name);
+
+    if (remaining.length === user.identities.length) {
+      return res.status(404).json({ message: 'Identity not linked' });
+    }
+
+    // Never leave an account without a way to sign in
+    if (!user.password && remaining.length === 0) {
+      return res.status(400).json({ message: 'Set a password before unlinking your only sign-in method' });
+    }
+
+    user.identities = remaining;
+    await user.save();
+
+    res.json({
+      message: 'Identity unlinked successfully',
+      user: user.getPublicProfile()
+    });
+  } catch (error) {
+    console.error('OIDC unlink error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,341 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { auth, requireScope } = require('../middleware/auth');
+const { canViewProject, canManageProject } = require('../services/policy');
+
+const router = express.Router();
+
+// Board columns, which WIP limits apply to
+const TASK_STATUSES = Task.schema.path('status').enumValues;
+
+router.use(auth);
+
+const projectRoleRule = (field) => body(field)
+  .isIn(Project.ROLES)
+  .withMessage(`Role must be one of: ${Project.ROLES.join(', ')}`);
+
+// Load the project named in the URL into req.project, checking the caller
+// may view it (or manage it, for owner-only routes)
+const loadProject = (access = 'view') => async (req, res, next) => {
+  try {
+    const project = await Project.findById(req.params.id)
+      .populate('members.user', 'username email');
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const allowed = access === 'manage'
+      ? await canManageProject(req.user, project)
+      : await canViewProject(req.user, project);
+    if (!allowed) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    req.project = project;
+    next();
+  } catch (error) {
+    console.error('Load project error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid project ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @route   GET /api/projects
+// @desc    Get the projects the current user belongs to
+// @access  Private
+router.get('/', requireScope('tasks:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const query = { 'members.user': req.user._id };
+
+    const projects = await Project.find(query)
+      .populate('members.user', 'username email')
+      .sort({ name: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await Project.countDocuments(query);
+
+    res.json({
+      projects: projects.map(project => ({
+        ...project.toJSON(),
+        myRole: project.roleOf(req.user._id)
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get projects error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/projects
+// @desc    Create a project owned by the current user
+// @access  Private
+router.post('/', requireScope('tasks:write'), [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Project name is required and must be less than 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const project = await Project.create({
+      name: req.body.name,
+      description: req.body.description,
+      members: [{ user: req.user._id, role: 'owner' }],
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Project created successfully',
+      project
+    });
+  } catch (error) {
+    console.error('Create project error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/projects/:id
+// @desc    Get a project with its members
+// @access  Private (project members)
+router.get('/:id', requireScope('tasks:read'), loadProject(), async (req, res) => {
+  try {
+    const taskCount = await Task.countDocuments({ project: req.project._id });
+
+    res.json({
+      project: req.project,
+      myRole: req.project.roleOf(req.user._id),
+      taskCount
+    });
+  } catch (error) {
+    console.error('Get project error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/projects/:id
+// @desc    Update a project's name or description
+// @access  Private (project owners)
+router.put('/:id', requireScope('tasks:write'), loadProject('manage'), [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Project name must be less than 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+  body('wipLimits')
+    .optional()
+    .isObject()
+    .withMessage('WIP limits must be an object')
+    .custom(limits => Object.keys(limits).every(status => TASK_STATUSES.includes(status)))
+    .withMessage(`WIP limits can be set for: ${TASK_STATUSES.join(', ')}`)
+    .custom(limits => Object.values(limits).every(limit => limit === null || (Number.isInteger(limit) && limit >= 1)))
+    .withMessage('WIP limits must be positive integers, or null to remove one')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, wipLimits } = req.body;
+    if (name !== undefined) req.project.name = name;
+    if (description !== undefined) req.project.description = description;
+    if (wipLimits !== undefined) {
+      for (const [status, limit] of Object.entries(wipLimits)) {
+        if (limit === null) req.project.wipLimits.delete(status);
+        else req.project.wipLimits.set(status, limit);
+      }
+    }
+
+    await req.project.save();
+
+    res.json({
+      message: 'Project updated successfully',
+      project: req.project
+    });
+  } catch (error) {
+    console.error('Update project error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/projects/:id
+// @desc    Delete a project that no longer has tasks (outside the trash)
+// @access  Private (project owners)
+router.delete('/:id', requireScope('tasks:write'), loadProject('manage'), async (req, res) => {
+  try {
+    const tasks = await Task.countDocuments({ project: req.project._id });
+    if (tasks > 0) {
+      return res.status(409).json({
+        message: 'Project still has tasks',
+        tasks
+      });
+    }
+
+    await Project.findByIdAndDelete(req.project._id);
+    // Tasks left in the trash fall back to their creators
+    await Task.updateMany({ project: req.project._id }, { $unset: { project: 1 } });
+
+    res.json({ message: 'Project deleted successfully' });
+  } catch (error) {
+    console.error('Delete project error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/projects/:id/members
+// @desc    Add a member to a project
+// @access  Private (project owners)
+router.post('/:id/members', requireScope('tasks:write'), loadProject('manage'), [
+  body('userId')
+    .isMongoId()
+    .withMessage('userId must be a valid user ID'),
+  projectRoleRule('role').optional()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.body.userId).select('username email isActive');
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (req.project.roleOf(user._id)) {
+      return res.status(409).json({ message: 'User is already a member of this project' });
+    }
+
+    req.project.members.push({ user: user._id, role: req.body.role || 'viewer' });
+    await req.project.save();
+    await req.project.populate('members.user', 'username email');
+
+    res.status(201).json({
+      message: 'Member added successfully',
+      project: req.project
+    });
+  } catch (error) {
+    console.error('Add project member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/projects/:id/members/:userId
+// @desc    Change a member's role
+// @access  Private (project owners)
+router.put('/:id/members/:userId', requireScope('tasks:write'), loadProject('manage'), [
+  projectRoleRule('role')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const member = req.project.members.find(m => m.user._id.toString() === req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (req.body.role !== 'owner' && req.project.isLastOwner(req.params.userId)) {
+      return res.status(400).json({ message: 'A project needs at least one owner' });
+    }
+
+    member.role = req.body.role;
+    await req.project.save();
+
+    res.json({
+      message: 'Member updated successfully',
+      project: req.project
+    });
+  } catch (error) {
+    console.error('Update project member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/projects/:id/members/:userId
+// @desc    Remove a member, or leave the project when removing yourself.
+//          Their tasks in the project are unassigned.
+// @access  Private (project owners, or the member themselves)
+router.delete('/:id/members/:userId', requireScope('tasks:write'), loadProject(), async (req, res) => {
+  try {
+    const leaving = req.user._id.toString() === req.params.userId;
+    if (!leaving && !(await canManageProject(req.user, req.project))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!req.project.roleOf(req.params.userId)) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (req.project.isLastOwner(req.params.userId)) {
+      return res.status(400).json({ message: 'A project needs at least one owner' });
+    }
+
+    req.project.members = req.project.members.filter(m => m.user._id.toString() !== req.params.userId);
+    await req.project.save();
+
+    await Task.updateMany(
+      { project: req.project._id, assignedTo: req.params.userId },
+      { $unset: { assignedTo: 1 } }
+    );
+
+    res.json({
+      message: leaving ? 'You left the project' : 'Member removed successfully',
+      project: req.project
+    });
+  } catch (error) {
+    console.error('Remove project member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,260 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { auth, requirePermission } = require('../middleware/auth');
+const {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  isBuiltInRole,
+  isKnownPermission,
+  clearRoleCache,
+  roleExists,
+  holdsPermissions,
+  canGrantRole
+} = require('../services/policy');
+
+const router = express.Router();
+
+router.use(auth, requirePermission('roles:manage'));
+
+const permissionRules = (optional) => [
+  (optional ? body('permissions').optional() : body('permissions'))
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .custom(isKnownPermission)
+    .withMessage('Unknown permission'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description must be less than 200 characters')
+];
+
+// @route   GET /api/roles/permissions
+// @desc    List every permission that can be granted
+// @access  Private (roles:manage)
+router.get('/permissions', (req, res) => {
+  res.json({
+    permissions: Object.entries(PERMISSIONS).map(([name, { description, scope }]) => ({
+      name,
+      description,
+      scope
+    }))
+  });
+});
+
+// @route   GET /api/roles
+// @desc    List built-in and custom roles
+// @access  Private (roles:manage)
+router.get('/', async (req, res) => {
+  try {
+    const customRoles = await Role.find({}).sort({ name: 1 });
+
+    res.json({
+      roles: [
+        ...Object.entries(BUILT_IN_ROLES).map(([name, role]) => ({ name, ...role, builtIn: true })),
+        ...customRoles.map(role => ({
+          name: role.name,
+          description: role.description,
+          permissions: role.permissions,
+          builtIn: false
+        }))
+      ]
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/roles
+// @desc    Create a custom role
+// @access  Private (roles:manage)
+router.post('/', [
+  body('name')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9_-]{2,30}$/)
+    .withMessage('Role name must be 2-30 letters, numbers, dashes or underscores'),
+  ...permissionRules(false)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, permissions } = req.body;
+
+    if (await roleExists(name)) {
+      return res.status(400).json({ message: 'Role already exists' });
+    }
+    if (!(await holdsPermissions(req.user, permissions))) {
+      return res.status(403).json({ message: 'Cannot grant permissions you do not hold' });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      createdBy: req.user._id
+    });
+    clearRoleCache(name);
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/roles/:name
+// @desc    Update a custom role
+// @access  Private (roles:manage)
+router.put('/:name', permissionRules(true), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (isBuiltInRole(req.params.name)) {
+      return res.status(400).json({ message: 'Built-in roles cannot be changed' });
+    }
+
+    const { description, permissions } = req.body;
+    if (permissions !== undefined && !(await holdsPermissions(req.user, permissions))) {
+      return res.status(403).json({ message: 'Cannot grant permissions you do not hold' });
+    }
+
+    const updates = {};
+    if (description !== undefined) updates.description = description;
+    if (permissions !== undefined) updates.permissions = [...new Set(permissions)];
+
+    const role = await Role.findOneAndUpdate(
+      { name: req.params.name },
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    clearRoleCache(role.name);
+
+    res.json({
+      message: 'Role updated successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/roles/:name
+// @desc    Delete a custom role that is no longer assigned
+// @access  Private (roles:manage)
+router.delete('/:name', async (req, res) => {
+  try {
+    if (isBuiltInRole(req.params.name)) {
+      return res.status(400).json({ message: 'Built-in roles cannot be deleted' });
+    }
+
+    const assigned = await User.countDocuments({ role: req.params.name });
+    if (assigned > 0) {
+      return res.status(409).json({
+        message: 'Role is still assigned to users',
+        assigned
+      });
+    }
+
+    const role = await Role.findOneAndDelete({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    clearRoleCache(role.name);
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/roles/:name/users
+// @desc    List users holding a role
+// @access  Private (roles:manage)
+router.get('/:name/users', async (req, res) => {
+  try {
+    if (!(await roleExists(req.params.name))) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const users = await User.find({ role: req.params.name })
+      .select('-password')
+      .sort({ username: 1 });
+
+    res.json({ users: users.map(user => user.getPublicProfile()) });
+  } catch (error) {
+    console.error('Get role users error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/roles/:name/users/:userId
+// @desc    Assign a role to a user
+// @access  Private (roles:manage)
+router.put('/:name/users/:userId', async (req, res) => {
+  try {
+    if (!(await roleExists(req.params.name))) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const target = await User.findById(req.params.userId).select('role');
+    if (!target) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await canGrantRole(req.user, req.params.name)) || !(await canGrantRole(req.user, target.role))) {
+      return res.status(403).json({ message: 'Cannot assign roles with permissions you do not hold' });
+    }
+
+    if (req.params.name !== 'admin' && await User.isLastAdmin(req.params.userId)) {
+      return res.status(400).json({ message: 'Cannot demote or deactivate the last admin' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { role: req.params.name },
+      { new: true }
+    ).select('-password');
+
+    res.json({
+      message: 'Role assigned successfully',
+      user: user.getPublicProfile()
+    });
+  } catch (error) {
+    console.error('Assign role error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
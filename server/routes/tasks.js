@@ -1,86 +1,479 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
 const Task = require('../models/Task');
-const { auth, optionalAuth } = require('../middleware/auth');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const View = require('../models/View');
+const Comment = require('../models/Comment');
+const Activity = require('../models/Activity');
+const TaskSeries = require('../models/TaskSeries');
+const { auth, optionalAuth, requireScope, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const {
+  can,
+  canViewTask,
+  canViewProject,
+  canUpdateTask,
+  canChangeTaskStatus,
+  canDeleteTask,
+  canAddProjectTasks
+} = require('../services/policy');
+const { trashTask, restoreTask, retentionDays } = require('../services/trash');
+const { searchTasks } = require('../services/taskSearch');
+const { parseRecurrence, formatRule } = require('../utils/recurrence');
+const { rankBetween } = require('../utils/rank');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { TASK_SORT_FIELDS, taskFilter } = require('../utils/taskFilters');
 
 const router = express.Router();
 
+// Unverified accounts cannot publish tasks
+const publishRequiresVerifiedEmail = requireVerifiedEmail(
+  (req) => req.body.isPublic === true || req.body.isPublic === 'true'
+);
+const bulkPublishRequiresVerifiedEmail = requireVerifiedEmail(
+  (req) => req.body.operation === 'visibility' && req.body.value === true
+);
+
+// Fields a task update may change
+const UPDATABLE_FIELDS = ['title', 'description', 'status', 'priority', 'dueDate', 'tags', 'assignedTo', 'isPublic', 'project'];
+
+// Check the user may put a task into a project and that its assignee is a
+// member there. Returns the error to respond with, or null.
+const checkProjectPlacement = async (user, projectId, assignedTo) => {
+  if (!projectId) return null;
+
+  const project = await Project.findById(projectId);
+  if (!project) {
+    return { status: 404, message: 'Project not found' };
+  }
+  if (!(await canAddProjectTasks(user, project))) {
+    return { status: 403, message: 'Access denied' };
+  }
+  if (assignedTo && !project.roleOf(assignedTo)) {
+    return { status: 400, message: 'Assignee must be a member of the project' };
+  }
+  return null;
+};
+
+// Refuse to complete a task that still has open blockers unless the caller
+// forces it. Returns the error to respond with, or null.
+const checkBlockers = async (task, status, force) => {
+  if (status !== 'completed' || force === true || force === 'true') return null;
+
+  const blockers = await task.getOpenBlockers();
+  if (blockers.length === 0) return null;
+
+  return {
+    status: 409,
+    message: 'Task is blocked by open tasks; pass force: true to complete it anyway',
+    code: 'TASK_BLOCKED',
+    blockers
+  };
+};
+
+// Load both ends of a task link: the task being changed, which the user must
+// be allowed to edit, and the task it points at, which they must be able to
+// see. Returns { task, other } or { error }.
+const loadLinkedTasks = async (user, taskId, otherId) => {
+  const [task, other] = await Promise.all([Task.findById(taskId), Task.findById(otherId)]);
+
+  if (!task || !other) {
+    return { error: { status: 404, message: 'Task not found' } };
+  }
+  if (!(await canUpdateTask(user, task)) || !(await canViewTask(user, other))) {
+    return { error: { status: 403, message: 'Access denied' } };
+  }
+  if (task._id.equals(other._id)) {
+    return { error: { status: 400, message: 'A task cannot be linked to itself' } };
+  }
+  return { task, other };
+};
+
+// Subtasks of a task that the user can see, oldest first
+const visibleSubtasks = async (user, task) => {
+  const children = await Task.find({ parent: task._id })
+    .select('title status priority assignedTo createdBy project isPublic')
+    .sort({ createdAt: 1 });
+
+  const subtasks = [];
+  for (const child of children) {
+    if (await canViewTask(user, child)) subtasks.push(child);
+  }
+  return subtasks;
+};
+
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+// Start a series for a task from a `recurrence` value; the task's due date
+// anchors the schedule
+const startSeries = async (task, recurrence, user) => {
+  const series = await TaskSeries.create({
+    rule: formatRule(parseRecurrence(recurrence)),
+    start: task.dueDate,
+    template: TaskSeries.templateFrom(task),
+    createdBy: user._id
+  });
+
+  task.series = series._id;
+  task.occurrence = 1;
+};
+
+// Prepare an edit to the whole series: the template used for future
+// occurrences, the other open occurrences and, if given, the recurrence
+// (null ends the series). Nothing is saved; the changed documents are
+// validated and returned so the caller can save them once the edited task
+// itself has been checked, and a rejected edit leaves no partial writes.
+const prepareSeriesUpdate = async (task, updates, recurrence, user) => {
+  const series = await TaskSeries.findById(task.series);
+  if (!series) return [];
+
+  const templateUpdates = {};
+  for (const field of TaskSeries.TEMPLATE_FIELDS) {
+    if (updates[field] !== undefined) templateUpdates[field] = updates[field];
+  }
+  for (const [field, value] of Object.entries(templateUpdates)) {
+    series.set(`template.${field}`, value);
+  }
+
+  if (recurrence === null) {
+    series.endedAt = new Date();
+  } else if (recurrence !== undefined) {
+    series.rule = formatRule(parseRecurrence(recurrence));
+    series.start = task.dueDate || series.start;
+    series.endedAt = undefined;
+  }
+
+  const changed = [series];
+  if (Object.keys(templateUpdates).length > 0) {
+    const others = await Task.find({
+      series: series._id,
+      _id: { $ne: task._id },
+      status: { $nin: CLOSED_STATUSES }
+    });
+    for (const other of others) {
+      if (!(await canUpdateTask(user, other))) continue;
+      other.set(templateUpdates);
+      changed.push(other);
+    }
+  }
+
+  // Only the changed fields are validated, as for the edited task, so
+  // overdue occurrences do not block the edit
+  for (const document of changed) {
+    await document.validate({ validateModifiedOnly: true });
+  }
+  return changed;
+};
+
+// Deleting an open occurrence of a recurring task skips it: the next
+// occurrence is created so the series keeps going
+const skipOccurrence = async (task) => {
+  if (!task.series || task.nextOccurrence || CLOSED_STATUSES.includes(task.status)) return;
+
+  const series = await TaskSeries.findById(task.series);
+  if (series) await series.spawnAfter(task);
+};
+
+const TASK_STATUSES = ['pending', 'in-progress', 'completed', 'cancelled'];
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Most tasks a single bulk request may touch
+const MAX_BULK_TASKS = 500;
+
+const isTagList = (value) => Array.isArray(value) && value.length > 0 &&
+  value.every(tag => typeof tag === 'string' && tag.trim().length > 0 && tag.trim().length <= 20);
+
+// Operations accepted by POST /api/tasks/bulk: the permission each needs on
+// every task, how its `value` is checked and the field it changes
+const BULK_OPERATIONS = {
+  status: {
+    allowed: canChangeTaskStatus,
+    validate: value => TASK_STATUSES.includes(value),
+    field: 'status',
+    apply: (task, value) => task.set('status', value)
+  },
+  priority: {
+    allowed: canUpdateTask,
+    validate: value => TASK_PRIORITIES.includes(value),
+    field: 'priority',
+    apply: (task, value) => task.set('priority', value)
+  },
+  assign: {
+    allowed: canUpdateTask,
+    validate: value => value === null || mongoose.isValidObjectId(value),
+    field: 'assignedTo',
+    apply: (task, value) => task.set('assignedTo', value || undefined)
+  },
+  addTags: {
+    allowed: canUpdateTask,
+    validate: isTagList,
+    field: 'tags',
+    apply: (task, value) => task.set('tags', [...new Set([...task.tags, ...value.map(tag => tag.trim())])])
+  },
+  removeTags: {
+    allowed: canUpdateTask,
+    validate: isTagList,
+    field: 'tags',
+    apply: (task, value) => task.set('tags', task.tags.filter(tag => !value.map(t => t.trim()).includes(tag)))
+  },
+  visibility: {
+    allowed: canUpdateTask,
+    validate: value => typeof value === 'boolean',
+    field: 'isPublic',
+    apply: (task, value) => task.set('isPublic', value)
+  },
+  delete: {
+    allowed: canDeleteTask,
+    validate: () => true
+  }
+};
+
+const bulkFailure = (status, error, extra = {}) => ({ ok: false, status, error, ...extra });
+
+// Apply a bulk operation to one task with the checks of the matching single
+// task route. With `dryRun` every check runs but nothing is saved. Returns
+// the task's entry in the report.
+const applyBulkOperation = async (user, task, { operation, value, force }, dryRun) => {
+  const definition = BULK_OPERATIONS[operation];
+
+  if (!(await definition.allowed(user, task))) {
+    return bulkFailure(403, 'Access denied');
+  }
+
+  if (operation === 'delete') {
+    if (!dryRun) {
+      await skipOccurrence(task);
+      await trashTask(task, user);
+    }
+    return { ok: true, changed: true };
+  }
+
+  if (operation === 'status') {
+    const blockedError = await checkBlockers(task, value, force);
+    if (blockedError) {
+      return bulkFailure(409, blockedError.message, { code: blockedError.code });
+    }
+  }
+
+  if (operation === 'assign' && value) {
+    const placementError = await checkProjectPlacement(user, task.project, value);
+    if (placementError) {
+      return bulkFailure(placementError.status, placementError.message);
+    }
+  }
+
+  const from = task.toObject()[definition.field];
+  definition.apply(task, value);
+  const to = task.toObject()[definition.field];
+
+  if (JSON.stringify(from) === JSON.stringify(to)) {
+    return { ok: true, changed: false };
+  }
+
+  try {
+    // Only the changed field is validated, so bulk clean-ups also reach
+    // tasks whose due date has already passed
+    if (dryRun) {
+      await task.validate(task.modifiedPaths());
+    } else {
+      await task.save({ validateModifiedOnly: true });
+    }
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    return bulkFailure(400, Object.values(error.errors).map(e => e.message).join(', '));
+  }
+
+  return { ok: true, changed: true, from, to };
+};
+
+// Find the tasks named by a bulk request: explicit `ids` (missing ones are
+// reported as not found) or a `filter` over the tasks the user can see
+const findBulkTasks = async (user, { ids, filter }) => {
+  if (ids) {
+    const unique = [...new Set(ids)];
+    const found = await Task.find({ _id: { $in: unique } });
+    const byId = new Map(found.map(task => [task._id.toString(), task]));
+    return unique.map(id => ({ id, task: byId.get(id) }));
+  }
+
+  const query = Task.visibleTo(user._id, await Project.idsForMember(user._id));
+  if (filter.status) query.status = filter.status;
+  if (filter.priority) query.priority = filter.priority;
+  if (filter.project) query.project = filter.project;
+  if (filter.assignedTo) query.assignedTo = filter.assignedTo;
+  if (filter.tag) query.tags = filter.tag;
+
+  const tasks = await Task.find(query).sort({ createdAt: 1 }).limit(MAX_BULK_TASKS + 1);
+  if (tasks.length > MAX_BULK_TASKS) {
+    const error = new Error(`Filter matches more than ${MAX_BULK_TASKS} tasks; narrow it down`);
+    error.status = 400;
+    throw error;
+  }
+  return tasks.map(task => ({ id: task._id.toString(), task }));
+};
+
+const linkRule = () => body('taskId')
+  .isMongoId()
+  .withMessage('taskId must be a valid task ID');
+
+// Most cards GET /api/tasks/board returns per column
+const MAX_BOARD_COLUMN_TASKS = 100;
+
+// WIP limit of a task's project for a board column, or null
+const wipLimitFor = (project, status) => (project && project.wipLimits.get(status)) || null;
+
+// Refuse moving a task into a project column already at its WIP limit
+const checkWipLimit = async (task, status, force) => {
+  if (!task.project || force === true || force === 'true') return null;
+
+  const project = await Project.findById(task.project);
+  const limit = wipLimitFor(project, status);
+  if (!limit) return null;
+
+  const count = await Task.countDocuments({ project: task.project, status });
+  if (count < limit) return null;
+
+  return {
+    status: 409,
+    message: `The ${status} column is at its WIP limit; pass force: true to move the task anyway`,
+    code: 'WIP_LIMIT_REACHED',
+    limit,
+    count
+  };
+};
+
+// Rank placing a task right after or right before a neighbour in the
+// `status` column, or at the bottom of the column without one
+const rankForMove = async (task, status, { after, before }) => {
+  if (!after && !before) return Task.rankAfterLast(status);
+
+  const { rank } = await Task.findById(after || before).select('rank');
+  const next = await Task.findOne({
+    status,
+    _id: { $ne: task._id },
+    rank: after ? { $gt: rank } : { $lt: rank }
+  })
+    .sort({ rank: after ? 1 : -1 })
+    .select('rank');
+
+  const nextRank = next ? next.rank : null;
+  return after ? rankBetween(rank, nextRank) : rankBetween(nextRank, rank);
+};
+
+// List parameters for `view=<id>` (or `view=default`): the saved view's,
+// overridden by any given alongside it. Without a default view the list is
+// unfiltered.
+const withView = async (query, user) => {
+  const { view: id, ...rest } = query;
+  if (!id) return query;
+
+  const accessible = View.accessibleTo(user._id);
+  let view = null;
+  if (id === 'default') {
+    view = await View.findOne({ $and: [accessible, { defaultFor: user._id }] });
+    if (!view) return rest;
+  } else if (mongoose.isValidObjectId(id)) {
+    view = await View.findOne({ $and: [accessible, { _id: id }] });
+  }
+
+  if (!view) {
+    const error = new Error('View not found');
+    error.status = 404;
+    throw error;
+  }
+  return { ...view.toListQuery(), ...rest };
+};
+
 // @route   GET /api/tasks
-// @desc    Get all tasks for the authenticated user
+// @desc    Get all tasks for the authenticated user. `view` applies a saved
+//          view, see routes/views.js
+// @access  Private
+router.get('/', auth, requireScope('tasks:read'), async (req, res) => {
+  try {
+    const query = await withView(req.query, req.user);
+    const { search } = query;
+    const filter = taskFilter(query, req.user);
+
+    const projectIds = await Project.idsForMember(req.user._id);
+    const scope = { $and: [Task.visibleTo(req.user._id, projectIds), filter] };
+
+    const { items, pagination } = search
+      ? await searchTasks(req.user, search, scope, query)
+      : await paginate(Task, scope, parseListOptions(query, {
+        sortFields: TASK_SORT_FIELDS,
+        defaultSort: '-createdAt'
+      }), {
+        populate: [
+          { path: 'assignedTo', select: 'username email' },
+          { path: 'createdBy', select: 'username email' }
+        ]
+      });
+
+    res.json({ tasks: items, pagination });
+  } catch (error) {
+    console.error('Get tasks error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/tasks/public
+// @desc    Get public tasks (no authentication required)
+// @access  Public
+router.get('/public', optionalAuth, async (req, res) => {
+  try {
+    const filter = taskFilter(req.query, req.user);
+    const options = parseListOptions(req.query, {
+      sortFields: TASK_SORT_FIELDS,
+      defaultSort: '-createdAt'
+    });
+
+    const { items, pagination } = await paginate(Task, { $and: [{ isPublic: true }, filter] }, options, {
+      populate: { path: 'createdBy', select: 'username' }
+    });
+
+    res.json({ tasks: items, pagination });
+  } catch (error) {
+    console.error('Get public tasks error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/tasks/mentions
+// @desc    Get comments that mention the current user
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.get('/mentions', auth, requireScope('tasks:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const { status, priority, search } = req.query;
-
-    const options = {};
-    if (status) options.status = status;
-    if (priority) options.priority = priority;
-
-    let tasks;
-    let total;
-
-    if (search) {
-      const searchRegex = new RegExp(search, 'i');
-      tasks = await Task.find({
-        $or: [
-          { createdBy: req.user._id },
-          { assignedTo: req.user._id },
-          { isPublic: true }
-        ],
-        $and: [
-          {
-            $or: [
-              { title: searchRegex },
-              { description: searchRegex },
-              { tags: { $in: [searchRegex] } }
-            ]
-          }
-        ],
-        ...options
-      })
-      .populate('assignedTo', 'username email')
-      .populate('createdBy', 'username email')
-      .sort({ createdAt: -1 })
-      .skip((page - 1) * limit)
-      .limit(limit);
+    const query = { mentions: req.user._id, deletedAt: null };
 
-      total = await Task.countDocuments({
-        $or: [
-          { createdBy: req.user._id },
-          { assignedTo: req.user._id },
-          { isPublic: true }
-        ],
-        $and: [
-          {
-            $or: [
-              { title: searchRegex },
-              { description: searchRegex },
-              { tags: { $in: [searchRegex] } }
-            ]
-          }
-        ],
-        ...options
-      });
-    } else {
-      tasks = await Task.findByUser(req.user._id, options)
-        .skip((page - 1) * limit)
-        .limit(limit);
-
-      const query = {
-        $or: [
-          { createdBy: req.user._id },
-          { assignedTo: req.user._id },
-          { isPublic: true }
-        ],
-        ...options
-      };
-      total = await Task.countDocuments(query);
+    // Access is checked when a mention is recorded; leave out tasks the user
+    // has since lost access to, in the query itself so the total matches
+    const visibleTasks = { _id: { $in: await Comment.distinct('task', query) } };
+    if (!(await can(req.user, 'tasks:read:any'))) {
+      Object.assign(visibleTasks, Task.visibleTo(req.user._id, await Project.idsForMember(req.user._id)));
     }
+    query.task = { $in: await Task.find(visibleTasks).distinct('_id') };
+
+    const [comments, total] = await Promise.all([
+      Comment.find(query)
+        .populate('author', 'username')
+        .populate('task', 'title isPublic project createdBy assignedTo')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Comment.countDocuments(query)
+    ]);
 
     res.json({
-      tasks,
+      comments,
       pagination: {
         page,
         limit,
@@ -89,29 +482,44 @@ router.get('/', auth, async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Get tasks error:', error);
+    console.error('Get mentions error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @route   GET /api/tasks/public
-// @desc    Get public tasks (no authentication required)
-// @access  Public
-router.get('/public', optionalAuth, async (req, res) => {
+// @route   GET /api/tasks/trash
+// @desc    Get trashed tasks the user could restore, most recently deleted first
+// @access  Private
+router.get('/trash', auth, requireScope('tasks:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
 
-    const tasks = await Task.find({ isPublic: true })
-      .populate('createdBy', 'username')
-      .sort({ createdAt: -1 })
+    // Mirrors canDeleteTask: project tasks for editors and owners, other
+    // tasks for their creator
+    const query = { deletedAt: { $ne: null } };
+    if (!(await can(req.user, 'tasks:delete:any'))) {
+      query.$or = [
+        { project: { $in: await Project.idsForMember(req.user._id, 'editor') } },
+        { project: null, createdBy: req.user._id }
+      ];
+    }
+
+    const tasks = await Task.find(query)
+      .populate('createdBy', 'username email')
+      .populate('deletedBy', 'username')
+      .sort({ deletedAt: -1 })
       .skip((page - 1) * limit)
       .limit(limit);
 
-    const total = await Task.countDocuments({ isPublic: true });
+    const total = await Task.countDocuments(query);
+    const days = retentionDays();
 
     res.json({
-      tasks,
+      tasks: tasks.map(task => ({
+        ...task.toJSON(),
+        purgeAt: new Date(task.deletedAt.getTime() + days * 24 * 60 * 60 * 1000)
+      })),
       pagination: {
         page,
         limit,
@@ -120,7 +528,81 @@ router.get('/public', optionalAuth, async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Get public tasks error:', error);
+    console.error('Get trash error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/tasks/board
+// @desc    Get the board: visible tasks grouped by status column in rank
+//          order, with per-column counts and, for a project board, its WIP
+//          limits. Accepts the filters of GET /api/tasks; `limit` caps the
+//          cards returned per column.
+// @access  Private
+router.get('/board', auth, requireScope('tasks:read'), [
+  query('project')
+    .optional()
+    .isMongoId()
+    .withMessage('Project must be a valid project ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Every status is a column, so a status filter makes no sense here
+    const filter = taskFilter({ ...req.query, status: undefined }, req.user);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_BOARD_COLUMN_TASKS);
+
+    let project = null;
+    if (req.query.project) {
+      project = await Project.findById(req.query.project);
+      if (!project || !(await canViewProject(req.user, project))) {
+        return res.status(404).json({ message: 'Project not found' });
+      }
+    }
+
+    const projectIds = await Project.idsForMember(req.user._id);
+    const scope = { $and: [Task.visibleTo(req.user._id, projectIds), filter] };
+
+    const columns = await Promise.all(TASK_STATUSES.map(async (column) => {
+      const query = { $and: [scope, { status: column }] };
+      const wipLimit = wipLimitFor(project, column);
+
+      const [tasks, count, wipCount] = await Promise.all([
+        Task.find(query)
+          .populate('assignedTo', 'username email')
+          .populate('createdBy', 'username email')
+          .sort({ rank: 1, createdAt: 1, _id: 1 })
+          .limit(limit),
+        Task.countDocuments(query),
+        // The limit covers the whole column, whatever the filters show
+        wipLimit ? Task.countDocuments({ project: project._id, status: column }) : null
+      ]);
+
+      return {
+        status: column,
+        count,
+        hasMore: count > tasks.length,
+        wip: wipLimit ? { limit: wipLimit, count: wipCount, exceeded: wipCount > wipLimit } : null,
+        tasks
+      };
+    }));
+
+    res.json({
+      project: project ? { id: project._id, name: project.name } : null,
+      columns
+    });
+  } catch (error) {
+    console.error('Get board error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -128,24 +610,31 @@ router.get('/public', optionalAuth, async (req, res) => {
 // @route   GET /api/tasks/:id
 // @desc    Get task by ID
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, requireScope('tasks:read'), async (req, res) => {
   try {
     const task = await Task.findById(req.params.id)
       .populate('assignedTo', 'username email')
-      .populate('createdBy', 'username email');
+      .populate('createdBy', 'username email')
+      .populate('parent', 'title status')
+      .populate('blockedBy', 'title status')
+      .populate('series', 'rule start occurrences endedAt');
 
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
     // Check if user has access to this task
-    if (!task.isPublic && 
-        task.createdBy._id.toString() !== req.user._id.toString() && 
-        (!task.assignedTo || task.assignedTo._id.toString() !== req.user._id.toString())) {
+    if (!(await canViewTask(req.user, task))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    res.json({ task });
+    const subtasks = await visibleSubtasks(req.user, task);
+
+    res.json({
+      task,
+      subtasks,
+      progress: await task.getProgress(subtasks)
+    });
   } catch (error) {
     console.error('Get task error:', error);
     if (error.kind === 'ObjectId') {
@@ -155,10 +644,56 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/tasks/:id/activity
+// @desc    Get the change history of a task, newest first
+// @access  Private
+router.get('/:id/activity', auth, requireScope('tasks:read'), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    if (!(await canViewTask(req.user, task))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const activity = await Activity.find({ task: task._id })
+      .select('-participants')
+      .populate('actor', 'username')
+      .populate('impersonator', 'username')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await Activity.countDocuments({ task: task._id });
+
+    res.json({
+      activity,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get task activity error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid task ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/tasks
 // @desc    Create a new task
 // @access  Private
-router.post('/', auth, [
+router.post('/', auth, requirePermission('tasks:create'), publishRequiresVerifiedEmail, [
   body('title')
     .trim()
     .isLength({ min: 1, max: 100 })
@@ -183,7 +718,19 @@ router.post('/', auth, [
   body('isPublic')
     .optional()
     .isBoolean()
-    .withMessage('isPublic must be a boolean')
+    .withMessage('isPublic must be a boolean'),
+  body('project')
+    .optional()
+    .isMongoId()
+    .withMessage('Project must be a valid project ID'),
+  body('parent')
+    .optional()
+    .isMongoId()
+    .withMessage('Parent must be a valid task ID'),
+  body('recurrence')
+    .optional()
+    .custom((value, { req }) => Boolean(req.body.dueDate))
+    .withMessage('Recurring tasks need a due date')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -195,7 +742,22 @@ router.post('/', auth, [
       });
     }
 
-    const { title, description, priority, dueDate, tags, assignedTo, isPublic } = req.body;
+    const { title, description, priority, dueDate, tags, assignedTo, isPublic, project, parent } = req.body;
+
+    const placementError = await checkProjectPlacement(req.user, project, assignedTo);
+    if (placementError) {
+      return res.status(placementError.status).json({ message: placementError.message });
+    }
+
+    if (parent) {
+      const parentTask = await Task.findById(parent);
+      if (!parentTask || !(await canViewTask(req.user, parentTask))) {
+        return res.status(404).json({ message: 'Parent task not found' });
+      }
+      if (!(await canUpdateTask(req.user, parentTask))) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+    }
 
     const task = new Task({
       title,
@@ -205,9 +767,17 @@ router.post('/', auth, [
       tags,
       assignedTo,
       isPublic: isPublic || false,
+      project,
+      parent,
       createdBy: req.user._id
     });
 
+    if (req.body.recurrence) {
+      // Validate first so a rejected task does not leave an empty series behind
+      await task.validate();
+      await startSeries(task, req.body.recurrence, req.user);
+    }
+
     await task.save();
 
     const populatedTask = await Task.findById(task._id)
@@ -220,6 +790,118 @@ router.post('/', auth, [
     });
   } catch (error) {
     console.error('Create task error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/bulk
+// @desc    Apply one operation to many tasks, given as `ids` or a `filter`.
+//          Each task gets the permission checks of the single routes and its
+//          own entry in the report; `dryRun` only reports what would happen.
+// @access  Private
+router.post('/bulk', auth, requireScope('tasks:write'), bulkPublishRequiresVerifiedEmail, [
+  body('operation')
+    .isIn(Object.keys(BULK_OPERATIONS))
+    .withMessage(`Operation must be one of: ${Object.keys(BULK_OPERATIONS).join(', ')}`),
+  body('value')
+    .custom((value, { req }) => !BULK_OPERATIONS[req.body.operation] || BULK_OPERATIONS[req.body.operation].validate(value))
+    .withMessage('Invalid value for this operation'),
+  body('ids')
+    .custom((ids, { req }) => (ids === undefined) !== (req.body.filter === undefined))
+    .withMessage('Provide either ids or a filter'),
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: MAX_BULK_TASKS })
+    .withMessage(`ids must be a list of 1 to ${MAX_BULK_TASKS} task IDs`),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('ids must be valid task IDs'),
+  body('filter')
+    .optional()
+    .isObject()
+    .withMessage('filter must be an object'),
+  body('filter.status')
+    .optional()
+    .isIn(TASK_STATUSES)
+    .withMessage('Status must be pending, in-progress, completed, or cancelled'),
+  body('filter.priority')
+    .optional()
+    .isIn(TASK_PRIORITIES)
+    .withMessage('Priority must be low, medium, high, or urgent'),
+  body(['filter.project', 'filter.assignedTo'])
+    .optional()
+    .isMongoId()
+    .withMessage('Must be a valid ID'),
+  body('filter.tag')
+    .optional()
+    .isString()
+    .withMessage('Tag must be a string'),
+  body(['dryRun', 'force'])
+    .optional()
+    .isBoolean()
+    .withMessage('Must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { operation, value } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    if (operation === 'assign' && value && !(await User.exists({ _id: value, isActive: true }))) {
+      return res.status(400).json({ message: 'Assignee not found' });
+    }
+
+    const targets = await findBulkTasks(req.user, req.body);
+    const results = [];
+
+    for (const { id, task } of targets) {
+      if (!task) {
+        results.push({ id, ...bulkFailure(404, 'Task not found') });
+        continue;
+      }
+
+      try {
+        results.push({ id, ...(await applyBulkOperation(req.user, task, req.body, dryRun)) });
+      } catch (error) {
+        console.error(`Bulk ${operation} error for task ${id}:`, error);
+        results.push({ id, ...bulkFailure(500, 'Server error') });
+      }
+    }
+
+    const succeeded = results.filter(result => result.ok).length;
+
+    res.json({
+      message: dryRun ? 'Dry run complete; no tasks were changed' : 'Bulk operation complete',
+      operation,
+      dryRun,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded
+      },
+      results
+    });
+  } catch (error) {
+    console.error('Bulk task operation error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -227,7 +909,7 @@ router.post('/', auth, [
 // @route   PUT /api/tasks/:id
 // @desc    Update task by ID
 // @access  Private
-router.put('/:id', auth, [
+router.put('/:id', auth, requireScope('tasks:write'), publishRequiresVerifiedEmail, [
   body('title')
     .optional()
     .trim()
@@ -257,7 +939,15 @@ router.put('/:id', auth, [
   body('isPublic')
     .optional()
     .isBoolean()
-    .withMessage('isPublic must be a boolean')
+    .withMessage('isPublic must be a boolean'),
+  body('project')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Project must be a valid project ID'),
+  query('scope')
+    .optional()
+    .isIn(['this', 'series'])
+    .withMessage('Scope must be this or series')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -276,20 +966,75 @@ router.put('/:id', auth, [
     }
 
     // Check if user has permission to update this task
-    if (task.createdBy.toString() !== req.user._id.toString()) {
+    if (!(await canUpdateTask(req.user, task))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const updates = req.body;
-    delete updates.createdBy; // Prevent changing the creator
+    // Only editable fields; the creator and timestamps cannot be changed
+    const updates = {};
+    for (const field of UPDATABLE_FIELDS) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+
+    // Moving the task or reassigning it within a project
+    if (updates.project !== undefined || updates.assignedTo !== undefined) {
+      const projectId = updates.project !== undefined ? updates.project : task.project;
+      const assignedTo = updates.assignedTo !== undefined ? updates.assignedTo : task.assignedTo;
+
+      const placementError = await checkProjectPlacement(req.user, projectId, assignedTo);
+      if (placementError) {
+        return res.status(placementError.status).json({ message: placementError.message });
+      }
+    }
+
+    const blockedError = await checkBlockers(task, updates.status, req.body.force);
+    if (blockedError) {
+      const { status, ...payload } = blockedError;
+      return res.status(status).json(payload);
+    }
+
+    // Recurring tasks: `scope=series` also changes future occurrences, and
+    // the recurrence itself can only be changed for the whole series
+    const scope = req.query.scope || 'this';
+    const { recurrence } = req.body;
+    if (task.series && recurrence !== undefined && scope !== 'series') {
+      return res.status(400).json({ message: 'Use scope=series to change the recurrence of a series' });
+    }
+    if (!task.series && scope === 'series') {
+      return res.status(400).json({ message: 'Task is not part of a recurring series' });
+    }
+    if (recurrence) {
+      parseRecurrence(recurrence); // Reject an invalid rule before anything is saved
+    }
+
+    // Saving the document (rather than updating in place) runs the model
+    // hooks that keep completedAt and the activity log up to date
+    task.set(updates);
+
+    // Only the changed fields are validated, so overdue tasks stay editable.
+    // Everything is validated before anything (including a new series) is
+    // written.
+    await task.validate({ validateModifiedOnly: true });
+
+    if (!task.series && recurrence) {
+      if (!task.dueDate) {
+        return res.status(400).json({ message: 'Recurring tasks need a due date' });
+      }
+      await startSeries(task, recurrence, req.user);
+    }
+
+    const seriesChanges = scope === 'series'
+      ? await prepareSeriesUpdate(task, updates, recurrence, req.user)
+      : [];
 
-    const updatedTask = await Task.findByIdAndUpdate(
-      req.params.id,
-      updates,
-      { new: true, runValidators: true }
-    )
-    .populate('assignedTo', 'username email')
-    .populate('createdBy', 'username email');
+    await task.save({ validateModifiedOnly: true });
+    for (const document of seriesChanges) {
+      await document.save({ validateModifiedOnly: true });
+    }
+
+    const updatedTask = await Task.findById(task._id)
+      .populate('assignedTo', 'username email')
+      .populate('createdBy', 'username email');
 
     res.json({
       message: 'Task updated successfully',
@@ -300,6 +1045,15 @@ router.put('/:id', auth, [
     if (error.kind === 'ObjectId') {
       return res.status(400).json({ message: 'Invalid task ID' });
     }
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -307,10 +1061,14 @@ router.put('/:id', auth, [
 // @route   PATCH /api/tasks/:id/status
 // @desc    Update task status
 // @access  Private
-router.patch('/:id/status', auth, [
+router.patch('/:id/status', auth, requireScope('tasks:write'), [
   body('status')
     .isIn(['pending', 'in-progress', 'completed', 'cancelled'])
-    .withMessage('Status must be pending, in-progress, completed, or cancelled')
+    .withMessage('Status must be pending, in-progress, completed, or cancelled'),
+  body('force')
+    .optional()
+    .isBoolean()
+    .withMessage('force must be a boolean')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -329,11 +1087,16 @@ router.patch('/:id/status', auth, [
     }
 
     // Check if user has permission to update this task
-    if (task.createdBy.toString() !== req.user._id.toString() && 
-        (!task.assignedTo || task.assignedTo.toString() !== req.user._id.toString())) {
+    if (!(await canChangeTaskStatus(req.user, task))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    const blockedError = await checkBlockers(task, req.body.status, req.body.force);
+    if (blockedError) {
+      const { status, ...payload } = blockedError;
+      return res.status(status).json(payload);
+    }
+
     task.status = req.body.status;
     if (req.body.status === 'completed') {
       task.completedAt = new Date();
@@ -341,7 +1104,8 @@ router.patch('/:id/status', auth, [
       task.completedAt = undefined;
     }
 
-    await task.save();
+    // Only the changed fields are validated, so overdue tasks can be completed
+    await task.save({ validateModifiedOnly: true });
 
     const updatedTask = await Task.findById(task._id)
       .populate('assignedTo', 'username email')
@@ -356,29 +1120,374 @@ router.patch('/:id/status', auth, [
     if (error.kind === 'ObjectId') {
       return res.status(400).json({ message: 'Invalid task ID' });
     }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/:id/move
+// @desc    Move a task on the board: into another status column and to a
+//          position right `after` or right `before` a task of that column,
+//          or to its bottom without either. Status and position are saved
+//          together. Completing a blocked task or moving into a project
+//          column at its WIP limit needs `force: true`.
+// @access  Private
+router.post('/:id/move', auth, requireScope('tasks:write'), [
+  body('status')
+    .optional()
+    .isIn(TASK_STATUSES)
+    .withMessage('Status must be pending, in-progress, completed, or cancelled'),
+  body(['after', 'before'])
+    .optional()
+    .isMongoId()
+    .withMessage('Must be a valid task ID'),
+  body('before')
+    .custom((before, { req }) => before === undefined || req.body.after === undefined)
+    .withMessage('Give either after or before, not both'),
+  body('force')
+    .optional()
+    .isBoolean()
+    .withMessage('force must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    if (!(await canChangeTaskStatus(req.user, task))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { after, before, force } = req.body;
+    const status = req.body.status || task.status;
+    const neighborId = after || before;
+
+    if (neighborId) {
+      if (task._id.equals(neighborId)) {
+        return res.status(400).json({ message: 'A task cannot be moved next to itself' });
+      }
+
+      const neighbor = await Task.findById(neighborId);
+      if (!neighbor || !(await canViewTask(req.user, neighbor))) {
+        return res.status(404).json({ message: 'Neighbouring task not found' });
+      }
+      if (neighbor.status !== status) {
+        return res.status(400).json({ message: 'The neighbouring task must be in the target column' });
+      }
+    }
+
+    if (status !== task.status) {
+      const moveError = (await checkBlockers(task, status, force)) || (await checkWipLimit(task, status, force));
+      if (moveError) {
+        const { status: code, ...payload } = moveError;
+        return res.status(code).json(payload);
+      }
+    }
+
+    // Older tasks get a rank first so they can serve as neighbours
+    await Task.rankUnranked(status);
+
+    task.rank = await rankForMove(task, status, { after, before });
+    task.status = status;
+    task.$locals.ranked = true;
+
+    // Only the changed fields are validated, so overdue cards can be moved
+    await task.save({ validateModifiedOnly: true });
+
+    const movedTask = await Task.findById(task._id)
+      .populate('assignedTo', 'username email')
+      .populate('createdBy', 'username email');
+
+    res.json({
+      message: 'Task moved successfully',
+      task: movedTask
+    });
+  } catch (error) {
+    console.error('Move task error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid task ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/:id/subtasks
+// @desc    Make an existing task a subtask of this task
+// @access  Private
+router.post('/:id/subtasks', auth, requireScope('tasks:write'), [linkRule()], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // The subtask is the task that changes
+    const { task: subtask, other: parent, error } = await loadLinkedTasks(req.user, req.body.taskId, req.params.id);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    // Adding a subtask changes the parent's progress, so it needs edit access too
+    if (!(await canUpdateTask(req.user, parent))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (await Task.wouldCreateParentCycle(subtask._id, parent._id)) {
+      return res.status(400).json({ message: 'Linking these tasks would create a cycle' });
+    }
+
+    subtask.parent = parent._id;
+    await subtask.save({ validateModifiedOnly: true });
+
+    res.json({
+      message: 'Subtask linked successfully',
+      progress: await parent.getProgress(await visibleSubtasks(req.user, parent))
+    });
+  } catch (error) {
+    console.error('Link subtask error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid task ID' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/subtasks/:subtaskId
+// @desc    Detach a subtask from this task
+// @access  Private
+router.delete('/:id/subtasks/:subtaskId', auth, requireScope('tasks:write'), async (req, res) => {
+  try {
+    const { task: subtask, error } = await loadLinkedTasks(req.user, req.params.subtaskId, req.params.id);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    if (!subtask.parent || !subtask.parent.equals(req.params.id)) {
+      return res.status(404).json({ message: 'Subtask not found' });
+    }
+
+    subtask.parent = undefined;
+    await subtask.save({ validateModifiedOnly: true });
+
+    res.json({ message: 'Subtask unlinked successfully' });
+  } catch (error) {
+    console.error('Unlink subtask error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid task ID' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/:id/blockers
+// @desc    Mark this task as blocked by another task
+// @access  Private
+router.post('/:id/blockers', auth, requireScope('tasks:write'), [linkRule()], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { task, other: blocker, error } = await loadLinkedTasks(req.user, req.params.id, req.body.taskId);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    if (task.blockedBy.some(id => id.equals(blocker._id))) {
+      return res.status(409).json({ message: 'Task is already blocked by that task' });
+    }
+
+    if (await Task.wouldCreateBlockCycle(task._id, blocker._id)) {
+      return res.status(400).json({ message: 'Linking these tasks would create a cycle' });
+    }
+
+    task.blockedBy.push(blocker._id);
+    await task.save({ validateModifiedOnly: true });
+
+    res.json({
+      message: 'Blocker added successfully',
+      blockers: await task.getOpenBlockers()
+    });
+  } catch (error) {
+    console.error('Add blocker error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid task ID' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/blockers/:blockerId
+// @desc    Remove a blocking dependency
+// @access  Private
+router.delete('/:id/blockers/:blockerId', auth, requireScope('tasks:write'), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    if (!(await canUpdateTask(req.user, task))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // The blocker may already be gone, so only the link itself is checked
+    if (!task.blockedBy.some(id => id.equals(req.params.blockerId))) {
+      return res.status(404).json({ message: 'Blocker not found' });
+    }
+
+    task.blockedBy.pull(req.params.blockerId);
+    await task.save({ validateModifiedOnly: true });
+
+    res.json({ message: 'Blocker removed successfully' });
+  } catch (error) {
+    console.error('Remove blocker error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid task ID' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/:id/restore
+// @desc    Restore a task from the trash
+// @access  Private
+router.post('/:id/restore', auth, requireScope('tasks:write'), async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found in trash' });
+    }
+
+    if (!(await canDeleteTask(req.user, task))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await restoreTask(task);
+
+    const populatedTask = await Task.findById(task._id)
+      .populate('assignedTo', 'username email')
+      .populate('createdBy', 'username email');
+
+    res.json({
+      message: 'Task restored successfully',
+      task: populatedTask
+    });
+  } catch (error) {
+    console.error('Restore task error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid task ID' });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 // @route   DELETE /api/tasks/:id
-// @desc    Delete task by ID
+// @desc    Move a task to the trash. For recurring tasks `scope=this`
+//          (default) skips this occurrence and `scope=series` ends the
+//          series, trashing its other open occurrences.
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, requireScope('tasks:write'), [
+  query('scope')
+    .optional()
+    .isIn(['this', 'series'])
+    .withMessage('Scope must be this or series')
+], async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const task = await Task.findById(req.params.id);
 
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Only the creator can delete the task
-    if (task.createdBy.toString() !== req.user._id.toString()) {
+    // Only the creator (or a user who may delete any task) can delete the task
+    if (!(await canDeleteTask(req.user, task))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    await Task.findByIdAndDelete(req.params.id);
+    const series = task.series && req.query.scope === 'series' && await TaskSeries.findById(task.series);
+    let deleted = 1;
+
+    if (series) {
+      series.endedAt = new Date();
+      await series.save();
+
+      const others = await Task.find({
+        series: series._id,
+        _id: { $ne: task._id },
+        status: { $nin: CLOSED_STATUSES }
+      });
+      for (const other of others) {
+        if (!(await canDeleteTask(req.user, other))) continue;
+        await trashTask(other, req.user);
+        deleted += 1;
+      }
+    } else {
+      await skipOccurrence(task);
+    }
+
+    await trashTask(task, req.user);
 
-    res.json({ message: 'Task deleted successfully' });
+    res.json({ message: 'Task moved to trash', deleted });
   } catch (error) {
     console.error('Delete task error:', error);
     if (error.kind === 'ObjectId') {
@@ -0,0 +1,234 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { auth, requireSession, isTwoFactorMandatory } = require('../middleware/auth');
+const { generateSecret, buildOtpauthUri } = require('../utils/totp');
+const { finishLogin, verifyTwoFactorChallenge } = require('../services/auth');
+
+const router = express.Router();
+
+const TWO_FACTOR_SECRETS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const codeRule = body('code')
+  .isString()
+  .notEmpty()
+  .withMessage('Verification code is required');
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrolment by generating a TOTP secret
+// @access  Private
+router.post('/setup', auth, requireSession, async (req, res) => {
+  try {
+    if (req.user.twoFactor && req.user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: req.user._id }, { 'twoFactor.pendingSecret': secret });
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl: buildOtpauthUri({
+        secret,
+        accountName: req.user.email,
+        issuer: process.env.TOTP_ISSUER || 'MERN Task Manager'
+      })
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Confirm enrolment with a code and enable two-factor authentication
+// @access  Private
+router.post('/confirm', auth, requireSession, [codeRule], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(`${TWO_FACTOR_SECRETS} +twoFactor.pendingSecret`);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    // Check the code against the pending secret before switching it on
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.recoveryCodes = [];
+    if (user.verifyTwoFactorCode(req.body.code) !== 'totp') {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.pendingSecret = undefined;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor confirm error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post('/disable', auth, requireSession, [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  codeRule
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (isTwoFactorMandatory(req.user)) {
+      return res.status(403).json({ message: 'Two-factor authentication is mandatory for admin accounts' });
+    }
+
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_SECRETS}`);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch || !user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({ message: 'Invalid password or verification code' });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes with a new set
+// @access  Private
+router.post('/recovery-codes', auth, requireSession, [codeRule], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (user.verifyTwoFactorCode(req.body.code) !== 'totp') {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete a two-step login with a TOTP or recovery code
+// @access  Public
+router.post('/verify', [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  codeRule
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const decoded = verifyTwoFactorChallenge(req.body.challengeToken);
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_SECRETS);
+
+    if (!user || !user.isActive || !user.twoFactor.enabled ||
+        (decoded.ver || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({ message: 'Invalid or expired challenge' });
+    }
+
+    // Failed codes count towards the same lockout as failed passwords
+    if (user.isLocked) {
+      const lockError = user.getLockError();
+      res.set('Retry-After', String(lockError.retryAfter));
+      return res.status(lockError.status).json({
+        message: lockError.message,
+        code: lockError.code,
+        retryAfter: lockError.retryAfter
+      });
+    }
+
+    const method = user.verifyTwoFactorCode(req.body.code);
+    if (!method) {
+      await user.registerFailedLogin();
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+
+    const { token, refreshToken } = await finishLogin(user, req);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: user.getPublicProfile(),
+      ...(method === 'recovery' && { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length })
+    });
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Invalid or expired challenge' });
+    }
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
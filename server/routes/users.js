@@ -1,38 +1,80 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth, adminAuth } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Impersonation = require('../models/Impersonation');
+const AuditLog = require('../models/AuditLog');
+const { auth, requireScope, requireSession, requirePermission } = require('../middleware/auth');
+const { generateAccessToken } = require('../utils/tokens');
+const { can, roleExists, canGrantRole } = require('../services/policy');
+const { deleteAccount } = require('../services/accountDeletion');
+const { parseListOptions, paginate } = require('../utils/pagination');
 
 const router = express.Router();
 
+const USER_SORT_FIELDS = {
+  createdAt: { path: 'createdAt', type: 'date' },
+  lastLogin: { path: 'lastLogin', type: 'date' },
+  username: { path: 'username', type: 'string' }
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const filterError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Filters for the user lists: role, isActive and a createdAfter/createdBefore
+// range
+const userFilter = (query) => {
+  const filter = {};
+
+  if (query.role) filter.role = String(query.role);
+  if (query.isActive !== undefined) {
+    if (!['true', 'false'].includes(String(query.isActive))) {
+      throw filterError('isActive must be true or false');
+    }
+    filter.isActive = String(query.isActive) === 'true';
+  }
+
+  const created = {};
+  for (const [param, op] of [['createdAfter', '$gte'], ['createdBefore', '$lt']]) {
+    if (!query[param]) continue;
+    const date = new Date(query[param]);
+    if (Number.isNaN(date.getTime())) {
+      throw filterError(`${param} must be a date`);
+    }
+    created[op] = date;
+  }
+  if (Object.keys(created).length > 0) filter.createdAt = created;
+
+  return filter;
+};
+
 // @route   GET /api/users
-// @desc    Get all users (admin only)
-// @access  Private/Admin
-router.get('/', adminAuth, async (req, res) => {
+// @desc    Get all users
+// @access  Private (users:read)
+router.get('/', auth, requirePermission('users:read'), async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
-    const users = await User.find({})
-      .select('-password')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    const filter = userFilter(req.query);
+    const options = parseListOptions(req.query, {
+      sortFields: USER_SORT_FIELDS,
+      defaultSort: '-createdAt'
+    });
 
-    const total = await User.countDocuments({});
+    const { items, pagination } = await paginate(User, filter, options);
 
     res.json({
-      users: users.map(user => user.getPublicProfile()),
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      users: items.map(user => user.getPublicProfile()),
+      pagination
     });
   } catch (error) {
     console.error('Get users error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -40,7 +82,7 @@ router.get('/', adminAuth, async (req, res) => {
 // @route   GET /api/users/:id
 // @desc    Get user by ID
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, requireScope('users:admin'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
     
@@ -48,8 +90,8 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Users can only view their own profile unless they're admin
-    if (req.user.role !== 'admin' && req.user._id.toString() !== req.params.id) {
+    // Users can only view their own profile unless they may read any user
+    if (req.user._id.toString() !== req.params.id && !(await can(req.user, 'users:read'))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -65,8 +107,8 @@ router.get('/:id', auth, async (req, res) => {
 
 // @route   PUT /api/users/:id
 // @desc    Update user by ID
-// @access  Private/Admin
-router.put('/:id', adminAuth, [
+// @access  Private (users:update, roles:manage to change the role)
+router.put('/:id', auth, requirePermission('users:update'), [
   body('username')
     .optional()
     .isLength({ min: 3, max: 30 })
@@ -78,8 +120,8 @@ router.put('/:id', adminAuth, [
     .withMessage('Please provide a valid email'),
   body('role')
     .optional()
-    .isIn(['user', 'admin'])
-    .withMessage('Role must be either user or admin'),
+    .isString()
+    .withMessage('Role must be a role name'),
   body('isActive')
     .optional()
     .isBoolean()
@@ -98,6 +140,35 @@ router.put('/:id', adminAuth, [
     const { username, email, role, isActive } = req.body;
     const updates = {};
 
+    const target = await User.findById(req.params.id).select('role');
+    if (!target) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    // Changing someone's email or deactivating them is as good as holding
+    // their account, so only users with at least their permissions may
+    if (!(await canGrantRole(req.user, target.role))) {
+      return res.status(403).json({ message: 'Cannot change users with permissions you do not hold' });
+    }
+
+    if (role !== undefined) {
+      if (!(await can(req.user, 'roles:manage'))) {
+        return res.status(403).json({ message: 'Access denied. Missing permission: roles:manage' });
+      }
+      if (!(await roleExists(role))) {
+        return res.status(400).json({ message: 'Role does not exist' });
+      }
+      if (!(await canGrantRole(req.user, role))) {
+        return res.status(403).json({ message: 'Cannot assign roles with permissions you do not hold' });
+      }
+    }
+
+    // Never lock everyone out of administration
+    if ((role !== undefined && role !== 'admin') || isActive === false || isActive === 'false') {
+      if (await User.isLastAdmin(req.params.id)) {
+        return res.status(400).json({ message: 'Cannot demote or deactivate the last admin' });
+      }
+    }
+
     if (username !== undefined) updates.username = username;
     if (email !== undefined) updates.email = email;
     if (role !== undefined) updates.role = role;
@@ -130,6 +201,11 @@ router.put('/:id', adminAuth, [
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Deactivated users lose every session immediately
+    if (!user.isActive) {
+      await Session.revokeAllForUser(user._id, 'deactivated');
+    }
+
     res.json({
       message: 'User updated successfully',
       user: user.getPublicProfile()
@@ -143,11 +219,143 @@ router.put('/:id', adminAuth, [
   }
 });
 
+// @route   POST /api/users/:id/unlock
+// @desc    Clear failed login attempts and lift an account lockout
+// @access  Private (users:unlock)
+router.post('/:id/unlock', auth, requirePermission('users:unlock'), async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { failedLoginAttempts: 0, $unset: { lockUntil: 1 } },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      message: 'User unlocked successfully',
+      user: user.getPublicProfile()
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/:id/impersonate
+// @desc    Get a short-lived token acting as another user ("view as user")
+// @access  Private (users:impersonate)
+router.post('/:id/impersonate', auth, requireSession, requirePermission('users:impersonate'), [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason must be less than 200 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.user._id.toString() === req.params.id) {
+      return res.status(400).json({ message: 'Cannot impersonate yourself' });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({ message: 'Cannot impersonate a deactivated user' });
+    }
+
+    // Acting as another administrator would borrow their privileges
+    if (await can(user, 'users:impersonate') || await can(user, 'roles:manage')) {
+      return res.status(403).json({ message: 'Cannot impersonate another administrator' });
+    }
+    // As would acting as anyone whose role grants something the impersonator lacks
+    if (!(await canGrantRole(req.user, user.role))) {
+      return res.status(403).json({ message: 'Cannot impersonate users with permissions you do not hold' });
+    }
+
+    const minutes = parseInt(process.env.IMPERSONATION_EXPIRES_MINUTES) || 15;
+    const impersonation = await Impersonation.create({
+      impersonator: req.user._id,
+      user: user._id,
+      reason: req.body.reason,
+      ip: req.ip,
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+    });
+
+    await AuditLog.create({
+      action: 'impersonation.start',
+      actor: req.user._id,
+      subject: user._id,
+      impersonation: impersonation._id,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: 201,
+      ip: req.ip,
+      details: { reason: req.body.reason }
+    });
+
+    const token = generateAccessToken(user, { imp: impersonation._id }, { expiresIn: `${minutes}m` });
+
+    res.status(201).json({
+      message: `Now impersonating ${user.username}`,
+      token,
+      impersonation: {
+        id: impersonation._id,
+        user: user.getPublicProfile(),
+        impersonator: { id: req.user._id, username: req.user.username },
+        expiresAt: impersonation.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Impersonate user error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   DELETE /api/users/:id
-// @desc    Delete user by ID
-// @access  Private/Admin
-router.delete('/:id', adminAuth, async (req, res) => {
+// @desc    Delete user by ID, handling their tasks with ?taskStrategy=
+//          (reassign, anonymize or delete) and ?reassignTo=
+// @access  Private (users:delete)
+router.delete('/:id', auth, requirePermission('users:delete'), [
+  query('taskStrategy')
+    .optional()
+    .isIn(User.DELETION_TASK_STRATEGIES)
+    .withMessage(`Task strategy must be one of: ${User.DELETION_TASK_STRATEGIES.join(', ')}`),
+  query('reassignTo')
+    .optional()
+    .isMongoId()
+    .withMessage('reassignTo must be a valid user ID')
+], async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const user = await User.findById(req.params.id);
     
     if (!user) {
@@ -159,59 +367,64 @@ router.delete('/:id', adminAuth, async (req, res) => {
       return res.status(400).json({ message: 'Cannot delete your own account' });
     }
 
-    await User.findByIdAndDelete(req.params.id);
+    if (!(await canGrantRole(req.user, user.role))) {
+      return res.status(403).json({ message: 'Cannot delete users with permissions you do not hold' });
+    }
+
+    if (await User.isLastAdmin(user._id)) {
+      return res.status(400).json({ message: 'Cannot delete the last admin' });
+    }
 
-    res.json({ message: 'User deleted successfully' });
+    const result = await deleteAccount(user, {
+      taskStrategy: req.query.taskStrategy,
+      reassignTo: req.query.reassignTo
+    });
+
+    res.json({
+      message: 'User deleted successfully',
+      taskStrategy: result.taskStrategy,
+      tasks: result.tasks
+    });
   } catch (error) {
     console.error('Delete user error:', error);
     if (error.kind === 'ObjectId') {
       return res.status(400).json({ message: 'Invalid user ID' });
     }
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 // @route   GET /api/users/search/:query
 // @desc    Search users by username or email
-// @access  Private/Admin
-router.get('/search/:query', adminAuth, async (req, res) => {
+// @access  Private (users:read)
+router.get('/search/:query', auth, requirePermission('users:read'), async (req, res) => {
   try {
-    const query = req.params.query;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
-    const searchRegex = new RegExp(query, 'i');
-    
-    const users = await User.find({
-      $or: [
-        { username: searchRegex },
-        { email: searchRegex }
-      ]
-    })
-    .select('-password')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit);
-
-    const total = await User.countDocuments({
-      $or: [
-        { username: searchRegex },
-        { email: searchRegex }
+    const searchRegex = new RegExp(escapeRegExp(req.params.query), 'i');
+    const filter = {
+      $and: [
+        { $or: [{ username: searchRegex }, { email: searchRegex }] },
+        userFilter(req.query)
       ]
+    };
+    const options = parseListOptions(req.query, {
+      sortFields: USER_SORT_FIELDS,
+      defaultSort: '-createdAt'
     });
 
+    const { items, pagination } = await paginate(User, filter, options);
+
     res.json({
-      users: users.map(user => user.getPublicProfile()),
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      users: items.map(user => user.getPublicProfile()),
+      pagination
     });
   } catch (error) {
     console.error('Search users error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -0,0 +1,280 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const View = require('../models/View');
+const User = require('../models/User');
+const { auth, requireScope } = require('../middleware/auth');
+const { RELEVANCE } = require('../services/taskSearch');
+const { parseSearch } = require('../utils/searchQuery');
+const { parseListOptions } = require('../utils/pagination');
+const { TASK_SORT_FIELDS, taskFilter } = require('../utils/taskFilters');
+
+const router = express.Router();
+
+const viewError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Check stored list parameters the way GET /api/tasks would read them, so
+// a broken view is rejected when saved rather than when opened
+const checkListQuery = (filters, sort, user) => {
+  if (filters.search) parseSearch(filters.search);
+  taskFilter(filters, user);
+  if (sort) {
+    parseListOptions({ sort }, {
+      sortFields: filters.search ? { ...TASK_SORT_FIELDS, relevance: RELEVANCE } : TASK_SORT_FIELDS,
+      defaultSort: '-createdAt'
+    });
+  }
+};
+
+// Users a view can be shared with; the owner is left out
+const resolveSharedWith = async (ids, owner) => {
+  const unique = [...new Set(ids.map(String))].filter(id => id !== owner._id.toString());
+  const users = await User.find({ _id: { $in: unique }, isActive: true }).select('_id');
+  if (users.length !== unique.length) {
+    throw viewError('Views can only be shared with active users');
+  }
+  return users.map(user => user._id);
+};
+
+// Load a view the current user may use, or answer 404
+const loadView = async (req, res, next) => {
+  try {
+    const view = mongoose.isValidObjectId(req.params.id)
+      ? await View.findOne({ _id: req.params.id, ...View.accessibleTo(req.user._id) })
+      : null;
+
+    if (!view) {
+      return res.status(404).json({ message: 'View not found' });
+    }
+
+    req.view = view;
+    next();
+  } catch (error) {
+    console.error('Load view error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const requireOwner = (req, res, next) => {
+  if (!req.view.isOwnedBy(req.user._id)) {
+    return res.status(403).json({ message: 'Only the owner can change this view' });
+  }
+  next();
+};
+
+const viewRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Name is required and must be less than 50 characters'),
+    body('filters')
+      .optional()
+      .isObject()
+      .withMessage('Filters must be an object')
+      .custom(filters => Object.keys(filters).every(key => View.FILTERS.includes(key)))
+      .withMessage(`Filters must be among: ${View.FILTERS.join(', ')}`)
+      .custom(filters => Object.values(filters).every(value => typeof value === 'string'))
+      .withMessage('Filter values must be strings'),
+    body('sort')
+      .optional()
+      .isString()
+      .withMessage('Sort must be a string'),
+    body('columns')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Columns must be a non-empty array'),
+    body('columns.*')
+      .isIn(View.COLUMNS)
+      .withMessage(`Columns must be among: ${View.COLUMNS.join(', ')}`),
+    body('sharedWith')
+      .optional()
+      .isArray()
+      .withMessage('sharedWith must be an array of user IDs'),
+    body('sharedWith.*')
+      .isMongoId()
+      .withMessage('sharedWith must be an array of user IDs'),
+    body('isDefault')
+      .optional()
+      .isBoolean()
+      .withMessage('isDefault must be a boolean')
+      .toBoolean()
+  ];
+};
+
+// @route   GET /api/views
+// @desc    Get the views the current user owns or that are shared with them
+// @access  Private
+router.get('/', auth, requireScope('tasks:read'), async (req, res) => {
+  try {
+    const views = await View.find(View.accessibleTo(req.user._id))
+      .populate('owner', 'username')
+      .sort({ name: 1 });
+
+    res.json({ views: views.map(view => view.toJSONFor(req.user._id)) });
+  } catch (error) {
+    console.error('Get views error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/views
+// @desc    Save a task list view
+// @access  Private
+router.post('/', auth, requireScope('tasks:write'), viewRules(false), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, filters = {}, sort, columns, sharedWith = [], isDefault } = req.body;
+
+    if (await View.countDocuments({ owner: req.user._id }) >= View.MAX_PER_USER) {
+      return res.status(400).json({ message: `A user can have at most ${View.MAX_PER_USER} views` });
+    }
+
+    checkListQuery(filters, sort, req.user);
+
+    const view = await View.create({
+      name,
+      owner: req.user._id,
+      filters,
+      sort,
+      columns,
+      sharedWith: await resolveSharedWith(sharedWith, req.user)
+    });
+
+    if (isDefault) {
+      await View.setDefault(view, req.user._id);
+      view.defaultFor = [req.user._id];
+    }
+
+    res.status(201).json({
+      message: 'View created successfully',
+      view: view.toJSONFor(req.user._id)
+    });
+  } catch (error) {
+    console.error('Create view error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/views/:id
+// @desc    Get a view
+// @access  Private
+router.get('/:id', auth, requireScope('tasks:read'), loadView, async (req, res) => {
+  try {
+    await req.view.populate('owner', 'username');
+    res.json({ view: req.view.toJSONFor(req.user._id) });
+  } catch (error) {
+    console.error('Get view error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/views/:id
+// @desc    Update a view
+// @access  Private (owner)
+router.put('/:id', auth, requireScope('tasks:write'), loadView, requireOwner, viewRules(true), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { view } = req;
+    const { name, filters, sort, columns, sharedWith, isDefault } = req.body;
+
+    checkListQuery(filters || Object.fromEntries(view.filters), sort !== undefined ? sort : view.sort, req.user);
+
+    if (name !== undefined) view.name = name;
+    if (filters !== undefined) view.filters = filters;
+    if (sort !== undefined) view.sort = sort || undefined;
+    if (columns !== undefined) view.columns = columns;
+    if (sharedWith !== undefined) {
+      view.sharedWith = await resolveSharedWith(sharedWith, req.user);
+      // Users who lose access lose it as their default too
+      view.defaultFor = view.defaultFor.filter(id => id.equals(req.user._id) || view.sharedWith.some(shared => shared.equals(id)));
+    }
+    await view.save();
+
+    if (isDefault !== undefined) {
+      if (isDefault) {
+        await View.setDefault(view, req.user._id);
+        view.defaultFor.addToSet(req.user._id);
+      } else {
+        await View.updateOne({ _id: view._id }, { $pull: { defaultFor: req.user._id } });
+        view.defaultFor.pull(req.user._id);
+      }
+    }
+
+    res.json({
+      message: 'View updated successfully',
+      view: view.toJSONFor(req.user._id)
+    });
+  } catch (error) {
+    console.error('Update view error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/views/:id
+// @desc    Delete a view
+// @access  Private (owner)
+router.delete('/:id', auth, requireScope('tasks:write'), loadView, requireOwner, async (req, res) => {
+  try {
+    await req.view.deleteOne();
+    res.json({ message: 'View deleted successfully' });
+  } catch (error) {
+    console.error('Delete view error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/views/:id/default
+// @desc    Make a view (owned or shared) the current user's default
+// @access  Private
+router.put('/:id/default', auth, requireScope('tasks:write'), loadView, async (req, res) => {
+  try {
+    await View.setDefault(req.view, req.user._id);
+    res.json({ message: 'Default view set successfully' });
+  } catch (error) {
+    console.error('Set default view error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/views/:id/default
+// @desc    Stop using a view as the current user's default
+// @access  Private
+router.delete('/:id/default', auth, requireScope('tasks:write'), loadView, async (req, res) => {
+  try {
+    await View.updateOne({ _id: req.view._id }, { $pull: { defaultFor: req.user._id } });
+    res.json({ message: 'Default view cleared successfully' });
+  } catch (error) {
+    console.error('Clear default view error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -10,8 +10,23 @@ const morgan = require('morgan');
 require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const apiKeyRoutes = require('./routes/apiKeys');
+const oidcRoutes = require('./routes/oidc');
 const userRoutes = require('./routes/users');
 const taskRoutes = require('./routes/tasks');
+const commentRoutes = require('./routes/comments');
+const attachmentRoutes = require('./routes/attachments');
+const projectRoutes = require('./routes/projects');
+const roleRoutes = require('./routes/roles');
+const auditRoutes = require('./routes/audit');
+const activityRoutes = require('./routes/activity');
+const notificationRoutes = require('./routes/notifications');
+const viewRoutes = require('./routes/views');
+const { startDeletionJob } = require('./services/accountDeletion');
+const { startReminderJob } = require('./services/reminders');
+const { startTrashJob } = require('./services/trash');
+const { requestContext } = require('./utils/requestContext');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -33,6 +48,9 @@ app.use('/api/', limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Request context (current actor) for model hooks
+app.use(requestContext);
+
 // Compression middleware
 app.use(compression());
 
@@ -62,9 +80,20 @@ app.get('/api/health', (req, res) => {
 });
 
 // API routes
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/me/api-keys', apiKeyRoutes);
+app.use('/api/auth/oidc', oidcRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/tasks/:taskId/comments', commentRoutes);
+app.use('/api/tasks/:taskId/attachments', attachmentRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/activity', activityRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/views', viewRoutes);
 
 // 404 handler
 app.use('/api/*', (req, res) => {
@@ -107,6 +136,14 @@ mongoose.connect(process.env.MONGODB_URI, {
 })
 .then(() => {
   console.log('Connected to MongoDB');
+
+  // Background jobs
+  if (process.env.NODE_ENV !== 'test') {
+    startDeletionJob();
+    startReminderJob();
+    startTrashJob();
+  }
+
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -0,0 +1,292 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Comment = require('../models/Comment');
+const Activity = require('../models/Activity');
+const TaskSeries = require('../models/TaskSeries');
+const Notification = require('../models/Notification');
+const View = require('../models/View');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const ApiKey = require('../models/ApiKey');
+const Impersonation = require('../models/Impersonation');
+const { purgeTasks } = require('./trash');
+
+// Tasks created by anonymized accounts are handed to this inactive account,
+// since every task needs a creator
+const DELETED_USER = {
+  username: 'deleted-user',
+  email: 'deleted-user@deleted.local'
+};
+
+const DEFAULT_JOB_INTERVAL_MS = 60 * 60 * 1000;
+
+const deletionError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const gracePeriodDays = () => {
+  const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+  return Number.isNaN(days) ? 14 : Math.max(days, 0);
+};
+
+const defaultTaskStrategy = () => process.env.ACCOUNT_DELETION_TASK_STRATEGY || 'anonymize';
+
+// Get (or lazily create) the placeholder owner for anonymized tasks
+const getDeletedUserPlaceholder = () => User.findOneAndUpdate(
+  { username: DELETED_USER.username },
+  {
+    $setOnInsert: {
+      ...DELETED_USER,
+      role: 'user',
+      isActive: false
+    }
+  },
+  { upsert: true, new: true }
+);
+
+// Check a task strategy before anything is changed, filling in the default
+const resolveTaskStrategy = async (user, { taskStrategy, reassignTo } = {}) => {
+  const strategy = taskStrategy || defaultTaskStrategy();
+
+  if (!User.DELETION_TASK_STRATEGIES.includes(strategy)) {
+    throw deletionError(`Task strategy must be one of: ${User.DELETION_TASK_STRATEGIES.join(', ')}`);
+  }
+
+  if (strategy !== 'reassign') {
+    return { taskStrategy: strategy };
+  }
+
+  if (!reassignTo || !mongoose.isValidObjectId(reassignTo)) {
+    throw deletionError('A valid reassignTo user is required for the reassign strategy');
+  }
+  if (user._id.equals(reassignTo)) {
+    throw deletionError('Tasks cannot be reassigned to the account being deleted');
+  }
+
+  const target = await User.findById(reassignTo).select('isActive');
+  if (!target || !target.isActive) {
+    throw deletionError('Tasks can only be reassigned to an active user');
+  }
+
+  return { taskStrategy: strategy, reassignTo: target._id };
+};
+
+// Hand over, anonymize or remove the tasks that reference a user
+const applyTaskStrategy = async (user, { taskStrategy, reassignTo }) => {
+  const created = { createdBy: user._id };
+  const assigned = { assignedTo: user._id };
+  const summary = { reassigned: 0, anonymized: 0, deleted: 0, unassigned: 0 };
+
+  if (taskStrategy === 'reassign') {
+    summary.reassigned += (await Task.updateMany(created, { createdBy: reassignTo })).modifiedCount;
+    summary.reassigned += (await Task.updateMany(assigned, { assignedTo: reassignTo })).modifiedCount;
+    await TaskSeries.updateMany({ createdBy: user._id }, { createdBy: reassignTo });
+    await TaskSeries.updateMany({ 'template.assignedTo': user._id }, { 'template.assignedTo': reassignTo });
+    return summary;
+  }
+
+  // Recurring tasks of the user stop producing new occurrences
+  await TaskSeries.updateMany({ createdBy: user._id, endedAt: null }, { endedAt: new Date() });
+  await TaskSeries.updateMany({ 'template.assignedTo': user._id }, { $unset: { 'template.assignedTo': 1 } });
+
+  if (taskStrategy === 'anonymize') {
+    const placeholder = await getDeletedUserPlaceholder();
+    summary.anonymized = (await Task.updateMany(created, { createdBy: placeholder._id })).modifiedCount;
+  } else {
+    const tasks = await Task.find(created).setOptions({ withDeleted: true }).select('attachments');
+    summary.deleted = await purgeTasks(tasks);
+  }
+
+  summary.unassigned = (await Task.updateMany(assigned, { $unset: { assignedTo: 1 } })).modifiedCount;
+  return summary;
+};
+
+// Comments stay in their threads and activity in the task history, but are
+// credited to the placeholder account
+const anonymizeContributions = async (user) => {
+  await Comment.updateMany({ mentions: user._id }, { $pull: { mentions: user._id } });
+  await Activity.updateMany({ participants: user._id }, { $pull: { participants: user._id } });
+
+  const [hasComments, hasActivity] = await Promise.all([
+    Comment.exists({ author: user._id }),
+    Activity.exists({ actor: user._id })
+  ]);
+  if (!hasComments && !hasActivity) return;
+
+  const placeholder = await getDeletedUserPlaceholder();
+  await Comment.updateMany({ author: user._id }, { author: placeholder._id });
+  await Activity.updateMany({ actor: user._id }, { actor: placeholder._id });
+};
+
+// Take the user out of their projects. Projects they owned alone pass to the
+// reassignment target or else the longest-standing member; projects left
+// with neither members nor tasks are removed.
+const leaveProjects = async (user, { reassignTo }) => {
+  const projects = await Project.find({ 'members.user': user._id });
+
+  for (const project of projects) {
+    const wasLastOwner = project.isLastOwner(user._id);
+    project.members = project.members.filter(m => !m.user.equals(user._id));
+
+    if (project.members.length === 0 && !reassignTo && !(await Task.exists({ project: project._id }))) {
+      await project.deleteOne();
+      await Task.updateMany({ project: project._id }, { $unset: { project: 1 } });
+      continue;
+    }
+
+    if (wasLastOwner) {
+      const successor = reassignTo
+        ? project.members.find(m => m.user.equals(reassignTo))
+        : project.members[0];
+
+      if (successor) {
+        successor.role = 'owner';
+      } else if (reassignTo) {
+        project.members.push({ user: reassignTo, role: 'owner' });
+      }
+    }
+
+    await project.save();
+  }
+};
+
+// Permanently delete an account and everything that hangs off it. Audit log
+// entries are kept on purpose.
+const deleteAccount = async (user, options = {}) => {
+  const strategy = await resolveTaskStrategy(user, options);
+  const tasks = await applyTaskStrategy(user, strategy);
+  await leaveProjects(user, strategy);
+  await anonymizeContributions(user);
+
+  await Session.deleteMany({ user: user._id });
+  await RefreshToken.deleteMany({ user: user._id });
+  await ApiKey.deleteMany({ user: user._id });
+  await Impersonation.deleteMany({ user: user._id });
+  await Notification.deleteMany({ user: user._id });
+  await View.deleteMany({ owner: user._id });
+  await View.updateMany(
+    { $or: [{ sharedWith: user._id }, { defaultFor: user._id }] },
+    { $pull: { sharedWith: user._id, defaultFor: user._id } }
+  );
+  await User.deleteOne({ _id: user._id });
+
+  return { taskStrategy: strategy.taskStrategy, tasks };
+};
+
+// Schedule a self-service deletion after the grace period. With no grace
+// period the account is deleted straight away.
+const scheduleDeletion = async (user, options = {}) => {
+  const strategy = await resolveTaskStrategy(user, options);
+  const days = gracePeriodDays();
+
+  if (days === 0) {
+    return { deleted: true, ...(await deleteAccount(user, strategy)) };
+  }
+
+  user.deletion = {
+    requestedAt: new Date(),
+    scheduledFor: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    ...strategy
+  };
+  await user.save();
+
+  return { deleted: false, scheduledFor: user.deletion.scheduledFor, taskStrategy: strategy.taskStrategy };
+};
+
+const cancelDeletion = async (user) => {
+  if (!user.deletion || !user.deletion.scheduledFor) return false;
+
+  user.deletion = undefined;
+  await user.save();
+  return true;
+};
+
+// Delete every account whose grace period is over. A reassignment target
+// that has gone away since the request falls back to anonymizing.
+const processDueDeletions = async (now = new Date()) => {
+  const users = await User.find({ 'deletion.scheduledFor': { $lte: now } });
+  let processed = 0;
+
+  for (const user of users) {
+    const options = { taskStrategy: user.deletion.taskStrategy, reassignTo: user.deletion.reassignTo };
+    try {
+      if (options.taskStrategy === 'reassign' && !(await User.exists({ _id: options.reassignTo, isActive: true }))) {
+        options.taskStrategy = 'anonymize';
+      }
+      await deleteAccount(user, options);
+      processed += 1;
+    } catch (error) {
+      console.error(`Account deletion error for user ${user._id}:`, error);
+    }
+  }
+
+  return processed;
+};
+
+const startDeletionJob = (intervalMs = DEFAULT_JOB_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    processDueDeletions().catch(error => console.error('Account deletion job error:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+// Everything stored about a user, for the self-service data export
+const buildAccountExport = async (user) => {
+  const [profile, tasks, projects, comments, sessions, apiKeys, notifications, views] = await Promise.all([
+    User.findById(user._id),
+    Task.find({ $or: [{ createdBy: user._id }, { assignedTo: user._id }] })
+      .setOptions({ withDeleted: true })
+      .sort({ createdAt: 1 }),
+    Project.find({ 'members.user': user._id }).sort({ createdAt: 1 }),
+    Comment.find({ author: user._id, deletedAt: null }).select('+edits').sort({ createdAt: 1 }),
+    Session.find({ user: user._id }).sort({ createdAt: 1 }),
+    ApiKey.find({ user: user._id }).sort({ createdAt: 1 }),
+    Notification.find({ user: user._id }).select('-key').sort({ createdAt: 1 }),
+    View.find({ owner: user._id }).sort({ createdAt: 1 })
+  ]);
+
+  const isCreator = task => task.createdBy.equals(user._id);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: profile.getPublicProfile(),
+    tasks: {
+      created: tasks.filter(isCreator),
+      assigned: tasks.filter(task => !isCreator(task))
+    },
+    projects: projects.map(project => ({
+      id: project._id,
+      name: project.name,
+      description: project.description,
+      role: project.roleOf(user._id)
+    })),
+    comments,
+    sessions: sessions.map(session => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      revokedAt: session.revokedAt
+    })),
+    apiKeys,
+    notifications,
+    views: views.map(view => view.toJSONFor(user._id))
+  };
+};
+
+module.exports = {
+  gracePeriodDays,
+  resolveTaskStrategy,
+  deleteAccount,
+  scheduleDeletion,
+  cancelDeletion,
+  processDueDeletions,
+  startDeletionJob,
+  buildAccountExport
+};
@@ -0,0 +1,121 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { getStorage } = require('./storage');
+
+const DEFAULT_ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/csv'
+];
+
+// Leading bytes of binary formats, checked so a file cannot claim a type it
+// does not have. Text types have no signature.
+const SIGNATURES = {
+  'image/png': [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  'image/jpeg': [[0xff, 0xd8, 0xff]],
+  'image/gif': [[0x47, 0x49, 0x46, 0x38]],
+  'image/webp': [[0x52, 0x49, 0x46, 0x46]],
+  'application/pdf': [[0x25, 0x50, 0x44, 0x46]]
+};
+
+const MAX_ATTACHMENTS_PER_TASK = 20;
+
+const attachmentError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const maxFileSize = () => (parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || 10) * 1024 * 1024;
+
+const allowedTypes = () => (process.env.ATTACHMENT_ALLOWED_TYPES
+  ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+  : DEFAULT_ALLOWED_TYPES);
+
+const matchesSignature = (buffer, contentType) => {
+  const signatures = SIGNATURES[contentType];
+  if (!signatures) return true;
+  return signatures.some(bytes => bytes.every((byte, index) => buffer[index] === byte));
+};
+
+// Keep just the base name, without control characters
+const cleanFilename = (name) => {
+  const base = path.basename(String(name || '')).replace(/\p{Cc}/gu, '').trim();
+  return base.slice(-255) || 'attachment';
+};
+
+const storageKey = (taskId, attachmentId) => `tasks/${taskId}/${attachmentId}`;
+
+// Check an uploaded file (as parsed by multer) and store it on a task
+const addAttachment = async (task, file, user) => {
+  const contentType = String(file.mimetype || '').toLowerCase();
+
+  if (!allowedTypes().includes(contentType)) {
+    throw attachmentError(`File type not allowed. Allowed types: ${allowedTypes().join(', ')}`, 415);
+  }
+  if (!matchesSignature(file.buffer, contentType)) {
+    throw attachmentError(`File content does not match its type ${contentType}`, 415);
+  }
+  if (task.attachments.length >= MAX_ATTACHMENTS_PER_TASK) {
+    throw attachmentError(`A task can have at most ${MAX_ATTACHMENTS_PER_TASK} attachments`, 409);
+  }
+
+  const attachmentId = new mongoose.Types.ObjectId();
+  const attachment = {
+    _id: attachmentId,
+    filename: cleanFilename(file.originalname),
+    contentType,
+    size: file.size,
+    key: storageKey(task._id, attachmentId),
+    uploadedBy: user._id,
+    uploadedAt: new Date()
+  };
+
+  await getStorage().put(attachment.key, file.buffer, { contentType });
+
+  // Push atomically so concurrent uploads do not overwrite each other
+  const updated = await Task.findOneAndUpdate(
+    { _id: task._id, [`attachments.${MAX_ATTACHMENTS_PER_TASK - 1}`]: { $exists: false } },
+    { $push: { attachments: attachment } },
+    { new: true }
+  );
+  if (!updated) {
+    await getStorage().remove(attachment.key);
+    throw attachmentError(`A task can have at most ${MAX_ATTACHMENTS_PER_TASK} attachments`, 409);
+  }
+
+  return updated.attachments.id(attachment._id);
+};
+
+// Remove an attachment from its task and from storage
+const removeAttachment = async (task, attachment) => {
+  await Task.updateOne({ _id: task._id }, { $pull: { attachments: { _id: attachment._id } } });
+  await getStorage().remove(attachment.key);
+};
+
+// Delete the stored files of tasks that are being deleted. Failures are
+// logged rather than thrown so they never block deleting the tasks.
+const removeTaskFiles = async (tasks) => {
+  const storage = getStorage();
+  for (const task of [].concat(tasks)) {
+    for (const attachment of task.attachments || []) {
+      try {
+        await storage.remove(attachment.key);
+      } catch (error) {
+        console.error(`Attachment cleanup error for ${attachment.key}:`, error);
+      }
+    }
+  }
+};
+
+module.exports = {
+  maxFileSize,
+  addAttachment,
+  removeAttachment,
+  removeTaskFiles
+};
@@ -0,0 +1,68 @@
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const { generateAccessToken } = require('../utils/tokens');
+
+const TWO_FACTOR_CHALLENGE_PURPOSE = '2fa-challenge';
+
+// Start a new session for the user and issue its first token pair
+const issueTokens = async (user, req) => {
+  const session = await Session.create({
+    user: user._id,
+    userAgent: (req.get('User-Agent') || '').slice(0, 500),
+    ip: req.ip,
+    expiresAt: RefreshToken.expiryFromNow()
+  });
+
+  const { refreshToken } = await RefreshToken.issue(user._id, { family: session._id, ip: req.ip });
+  const token = generateAccessToken(user, { sid: session._id });
+
+  return { token, refreshToken, session };
+};
+
+// Record a successful sign-in and hand out tokens
+const finishLogin = async (user, req) => {
+  user.lastLogin = new Date();
+  user.resetLoginAttempts();
+  await user.save();
+
+  return await issueTokens(user, req);
+};
+
+// Short-lived token proving the password step of a two-step login succeeded
+const createTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    { userId: user._id, ver: user.tokenVersion || 0, purpose: TWO_FACTOR_CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m' }
+  );
+};
+
+// Decode a two-factor challenge token, throwing if it is not one
+const verifyTwoFactorChallenge = (challengeToken) => {
+  const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  if (decoded.purpose !== TWO_FACTOR_CHALLENGE_PURPOSE) {
+    throw new jwt.JsonWebTokenError('Invalid challenge token');
+  }
+  return decoded;
+};
+
+// Complete a login whose first factor has been verified. Users with
+// two-factor authentication get a challenge instead of tokens.
+const completeLogin = async (user, req) => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: createTwoFactorChallenge(user)
+    };
+  }
+
+  return await finishLogin(user, req);
+};
+
+module.exports = {
+  issueTokens,
+  finishLogin,
+  completeLogin,
+  verifyTwoFactorChallenge
+};
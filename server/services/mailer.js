@@ -0,0 +1,65 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// Built-in transports. Any object exposing `send(message)` can be plugged in
+// with `setTransport`, e.g. an SMTP or provider API client in production.
+const transports = {
+  console: () => ({
+    send: async (message) => {
+      console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    }
+  }),
+  file: () => ({
+    send: async (message) => {
+      const dir = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'mail-outbox');
+      await fs.mkdir(dir, { recursive: true });
+      const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+      await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+    }
+  })
+};
+
+let transport;
+
+// Register an additional named transport selectable through MAIL_TRANSPORT
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+// Replace the active transport (useful for tests)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'file' : 'console');
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+// Send an email through the active transport
+const sendMail = async ({ to, subject, text, html }) => {
+  await getTransport().send({
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+// Build a link into the frontend application
+const frontendUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.FRONTEND_URL || 'http://localhost:3000');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = { sendMail, setTransport, registerTransport, frontendUrl };
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const Notification = require('../models/Notification');
+const { sendMail, frontendUrl } = require('./mailer');
+const { checkPublicUrl, lookupPublic } = require('../utils/publicAddress');
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// POST a payload to a webhook URL. The URL was checked when it was saved, but
+// the host may resolve differently now, so it is checked again and the
+// connection only goes to a public address. Redirects are not followed.
+// Failures are reported without the receiver's response.
+const postWebhook = async (url, headers, payload) => {
+  const target = await checkPublicUrl(url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  await new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(payload) },
+      lookup: lookupPublic,
+      timeout: WEBHOOK_TIMEOUT_MS
+    }, (response) => {
+      response.resume();
+      if (response.statusCode >= 200 && response.statusCode < 300) resolve();
+      else reject(new Error('Webhook delivery failed'));
+    });
+    request.on('timeout', () => request.destroy(new Error('Webhook delivery timed out')));
+    // Keep connection details (addresses, ports) out of stored deliveries
+    request.on('error', error => reject(error.status ? error : new Error('Webhook delivery failed')));
+    request.end(payload);
+  });
+};
+
+// Delivery channels. A channel is an object exposing
+// `deliver(notification, user)`, which throws when delivery fails; more can
+// be added with `registerChannel`. The in-app channel has nothing to do since
+// the stored notification is what the notification routes list.
+const channels = {
+  'in-app': {
+    deliver: async () => {}
+  },
+  email: {
+    deliver: async (notification, user) => {
+      await sendMail({
+        to: user.email,
+        subject: notification.title,
+        text: `Hi ${user.username},\n\n${notification.message}\n\n` +
+          `${frontendUrl(`/tasks/${notification.task}`)}`
+      });
+    }
+  },
+  webhook: {
+    deliver: async (notification, user) => {
+      const url = user.notificationPreferences && user.notificationPreferences.webhookUrl;
+      if (!url) throw new Error('No webhook URL configured');
+
+      const payload = JSON.stringify({
+        id: notification._id,
+        type: notification.type,
+        task: notification.task,
+        title: notification.title,
+        message: notification.message,
+        createdAt: notification.createdAt
+      });
+
+      const headers = { 'Content-Type': 'application/json' };
+      // Receivers can check the payload came from us when a secret is set
+      if (process.env.NOTIFICATION_WEBHOOK_SECRET) {
+        headers['X-Signature'] = crypto
+          .createHmac('sha256', process.env.NOTIFICATION_WEBHOOK_SECRET)
+          .update(payload)
+          .digest('hex');
+      }
+
+      await postWebhook(url, headers, payload);
+    }
+  }
+};
+
+// Register (or replace) a named delivery channel
+const registerChannel = (name, channel) => {
+  channels[name] = channel;
+};
+
+const channelNames = () => Object.keys(channels);
+
+// Record a notification and deliver it through the user's channels. The key
+// is claimed before anything is delivered, so an event that has already been
+// notified returns null instead of being sent again.
+const notify = async (user, { key, type, task, title, message }) => {
+  let notification;
+  try {
+    notification = await Notification.create({ user: user._id, key, type, task, title, message });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  const preferred = (user.notificationPreferences && user.notificationPreferences.channels) || [];
+  for (const name of preferred) {
+    const channel = channels[name];
+    if (!channel) {
+      notification.deliveries.push({ channel: name, status: 'skipped', error: 'Unknown channel' });
+      continue;
+    }
+
+    try {
+      await channel.deliver(notification, user);
+      notification.deliveries.push({ channel: name, status: 'sent' });
+    } catch (error) {
+      console.error(`Notification delivery error (${name}):`, error);
+      notification.deliveries.push({ channel: name, status: 'failed', error: error.message });
+    }
+  }
+
+  await notification.save();
+  return notification;
+};
+
+module.exports = { notify, registerChannel, channelNames };
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const OAuthState = require('../models/OAuthState');
+const { hashToken, generateRandomToken } = require('../utils/tokens');
+
+// OpenID Connect authorization code flow with PKCE.
+//
+// Providers are configured through the environment:
+//   OIDC_PROVIDERS=google,corp
+//   OIDC_GOOGLE_ISSUER=https://accounts.google.com
+//   OIDC_GOOGLE_CLIENT_ID=...
+//   OIDC_GOOGLE_CLIENT_SECRET=...        (optional for public clients)
+//   OIDC_GOOGLE_REDIRECT_URI=https://app.example.com/auth/callback/google
+//   OIDC_GOOGLE_SCOPES=openid email profile   (optional)
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'PS256'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const oidcError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+// Names of configured providers
+const listProviders = () => {
+  return (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+// Settings for a configured provider, or null
+const getProvider = (name) => {
+  if (!listProviders().includes(name)) return null;
+
+  const prefix = `OIDC_${name.toUpperCase()}_`;
+  const config = {
+    name,
+    issuer: process.env[`${prefix}ISSUER`],
+    clientId: process.env[`${prefix}CLIENT_ID`],
+    clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+    redirectUri: process.env[`${prefix}REDIRECT_URI`],
+    scopes: process.env[`${prefix}SCOPES`] || 'openid email profile'
+  };
+
+  if (!config.issuer || !config.clientId || !config.redirectUri) {
+    throw oidcError(`OIDC provider "${name}" is not fully configured`, 500);
+  }
+
+  return config;
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw oidcError(`Identity provider request failed: ${data.error_description || data.error || response.status}`, 502);
+  }
+  return data;
+};
+
+// Provider metadata from the discovery document
+const discover = async (provider) => {
+  if (!discoveryCache.has(provider.issuer)) {
+    const issuer = provider.issuer.replace(/\/$/, '');
+    const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+    if (metadata.issuer !== provider.issuer) {
+      throw oidcError('Identity provider issuer mismatch', 502);
+    }
+    discoveryCache.set(provider.issuer, metadata);
+  }
+
+  return discoveryCache.get(provider.issuer);
+};
+
+// Public key for an ID token, refreshing the key set when the kid is unknown
+const getSigningKey = async (metadata, kid) => {
+  const findKey = () => (jwksCache.get(metadata.jwks_uri) || []).find(key => !kid || key.kid === kid);
+
+  if (!findKey()) {
+    const { keys = [] } = await fetchJson(metadata.jwks_uri);
+    jwksCache.set(metadata.jwks_uri, keys);
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw oidcError('Unknown ID token signing key', 401);
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Start an authorization request and return the URL to send the user to
+const createAuthorizationUrl = async (provider, options = {}) => {
+  const metadata = await discover(provider);
+
+  const state = generateRandomToken(24);
+  const nonce = generateRandomToken(24);
+  const codeVerifier = base64url(crypto.randomBytes(48));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  await OAuthState.create({
+    stateHash: hashToken(state),
+    provider: provider.name,
+    nonce,
+    codeVerifier,
+    linkUser: options.linkUser,
+    expiresAt: new Date(Date.now() + STATE_TTL_MS)
+  });
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+};
+
+// Verify an ID token's signature and standard claims
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw oidcError('Invalid ID token', 401);
+  }
+
+  const key = await getSigningKey(metadata, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      audience: provider.clientId,
+      issuer: provider.issuer
+    });
+  } catch (error) {
+    throw oidcError(`Invalid ID token: ${error.message}`, 401);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw oidcError('ID token nonce mismatch', 401);
+  }
+  return claims;
+};
+
+// Finish an authorization request: check the state, redeem the code and
+// return the verified ID token claims
+const handleCallback = async (provider, { code, state }) => {
+  const pending = await OAuthState.consume(state, provider.name);
+  if (!pending) {
+    throw oidcError('Invalid or expired login attempt, please start again');
+  }
+
+  const metadata = await discover(provider);
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: pending.codeVerifier
+  });
+  if (provider.clientSecret) {
+    params.set('client_secret', provider.clientSecret);
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    },
+    body: params.toString()
+  });
+
+  if (!tokens.id_token) {
+    throw oidcError('Identity provider did not return an ID token', 502);
+  }
+
+  const claims = await verifyIdToken(provider, metadata, tokens.id_token, pending.nonce);
+  return { claims, linkUser: pending.linkUser };
+};
+
+module.exports = {
+  listProviders,
+  getProvider,
+  createAuthorizationUrl,
+  handleCallback
+};
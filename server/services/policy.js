@@ -0,0 +1,187 @@
+const Role = require('../models/Role');
+const Project = require('../models/Project');
+
+// Central authorization policy: the permission catalogue, built-in roles,
+// role resolution and the ownership rules for tasks and projects.
+
+// Every permission, with the API key scope that covers it
+const PERMISSIONS = {
+  'tasks:create': { scope: 'tasks:write', description: 'Create tasks' },
+  'tasks:read:any': { scope: 'tasks:read', description: 'View any task, including private ones' },
+  'tasks:update:any': { scope: 'tasks:write', description: 'Edit any task' },
+  'tasks:delete:any': { scope: 'tasks:write', description: 'Delete any task' },
+  'projects:manage:any': { scope: 'tasks:write', description: 'Manage any project and its members' },
+  'users:read': { scope: 'users:admin', description: 'List, search and view users' },
+  'users:update': { scope: 'users:admin', description: 'Edit and deactivate users' },
+  'users:delete': { scope: 'users:admin', description: 'Delete users' },
+  'users:unlock': { scope: 'users:admin', description: 'Unlock locked accounts' },
+  'users:impersonate': { scope: 'users:admin', description: 'Act as another user for support' },
+  'audit:read': { scope: 'users:admin', description: 'View the audit log' },
+  'roles:manage': { scope: 'users:admin', description: 'Manage roles and role assignments' }
+};
+
+// Grants every permission
+const WILDCARD = '*';
+
+const BUILT_IN_ROLES = {
+  user: {
+    description: 'Regular account',
+    permissions: ['tasks:create']
+  },
+  admin: {
+    description: 'Full access',
+    permissions: [WILDCARD]
+  }
+};
+
+const ROLE_CACHE_TTL_MS = 30 * 1000;
+const roleCache = new Map();
+
+const isBuiltInRole = (name) => Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, name);
+
+const isKnownPermission = (permission) => {
+  return permission === WILDCARD || Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+};
+
+// API key scope required to exercise a permission
+const scopeFor = (permission) => {
+  return PERMISSIONS[permission] ? PERMISSIONS[permission].scope : 'users:admin';
+};
+
+// Forget cached custom roles (after they are changed)
+const clearRoleCache = (name) => {
+  if (name) {
+    roleCache.delete(name);
+  } else {
+    roleCache.clear();
+  }
+};
+
+// Permissions granted by a role; unknown roles grant nothing
+const permissionsFor = async (roleName) => {
+  if (isBuiltInRole(roleName)) {
+    return BUILT_IN_ROLES[roleName].permissions;
+  }
+
+  const cached = roleCache.get(roleName);
+  if (cached && Date.now() - cached.loadedAt < ROLE_CACHE_TTL_MS) {
+    return cached.permissions;
+  }
+
+  const role = await Role.findOne({ name: roleName }).lean();
+  const permissions = role ? role.permissions : [];
+  roleCache.set(roleName, { permissions, loadedAt: Date.now() });
+  return permissions;
+};
+
+// Whether a role name refers to a built-in or stored role
+const roleExists = async (roleName) => {
+  return isBuiltInRole(roleName) || Boolean(await Role.exists({ name: roleName }));
+};
+
+// Whether the user's role grants a permission
+const can = async (user, permission) => {
+  const permissions = await permissionsFor(user.role);
+  return permissions.includes(WILDCARD) || permissions.includes(permission);
+};
+
+// Whether the user's role grants every one of the permissions. Only holders
+// of the wildcard hold the wildcard.
+const holdsPermissions = async (user, permissions) => {
+  const held = await permissionsFor(user.role);
+  if (held.includes(WILDCARD)) return true;
+  return permissions.every(permission => permission !== WILDCARD && held.includes(permission));
+};
+
+// Whether the user may hand out a role (or take it away): only when they
+// hold everything it grants, so role managers cannot raise anyone, including
+// themselves, above their own access
+const canGrantRole = async (user, roleName) => {
+  return holdsPermissions(user, await permissionsFor(roleName));
+};
+
+// Id of a reference that may or may not be populated
+const refId = (ref) => ref && (ref._id || ref).toString();
+
+const isTaskCreator = (user, task) => refId(task.createdBy) === user._id.toString();
+const isTaskAssignee = (user, task) => refId(task.assignedTo) === user._id.toString();
+
+// Whether the user holds at least a role in the task's project
+const hasProjectRole = async (user, task, minimumRole) => {
+  const project = task.project.members
+    ? task.project
+    : await Project.findById(refId(task.project)).select('members');
+  return Boolean(project) && project.hasRole(user._id, minimumRole);
+};
+
+// Task rules: outside projects the creator owns a task and the assignee may
+// view it and move its status. Inside a project the member's role decides:
+// viewers can view, editors can change and delete tasks, and an assignee
+// who is a member may move the status. Anyone may view public tasks, and
+// the `:any` permissions extend each action to every task.
+const canViewTask = async (user, task) => {
+  if (task.isPublic) return true;
+
+  const allowed = task.project
+    ? await hasProjectRole(user, task, 'viewer')
+    : isTaskCreator(user, task) || isTaskAssignee(user, task);
+  return allowed || await can(user, 'tasks:read:any');
+};
+
+const canUpdateTask = async (user, task) => {
+  const allowed = task.project
+    ? await hasProjectRole(user, task, 'editor')
+    : isTaskCreator(user, task);
+  return allowed || await can(user, 'tasks:update:any');
+};
+
+const canChangeTaskStatus = async (user, task) => {
+  const allowed = task.project
+    ? await hasProjectRole(user, task, isTaskAssignee(user, task) ? 'viewer' : 'editor')
+    : isTaskCreator(user, task) || isTaskAssignee(user, task);
+  return allowed || await can(user, 'tasks:update:any');
+};
+
+const canDeleteTask = async (user, task) => {
+  const allowed = task.project
+    ? await hasProjectRole(user, task, 'editor')
+    : isTaskCreator(user, task);
+  return allowed || await can(user, 'tasks:delete:any');
+};
+
+// Project rules: members can view a project, owners manage it and its
+// members. `projects:manage:any` covers every project.
+const canViewProject = async (user, project) => {
+  return Boolean(project.roleOf(user._id)) || await can(user, 'projects:manage:any');
+};
+
+const canManageProject = async (user, project) => {
+  return project.hasRole(user._id, 'owner') || await can(user, 'projects:manage:any');
+};
+
+// Whether the user may put tasks into a project
+const canAddProjectTasks = async (user, project) => {
+  return project.hasRole(user._id, 'editor') || await can(user, 'projects:manage:any');
+};
+
+module.exports = {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  WILDCARD,
+  isBuiltInRole,
+  isKnownPermission,
+  scopeFor,
+  clearRoleCache,
+  permissionsFor,
+  roleExists,
+  can,
+  holdsPermissions,
+  canGrantRole,
+  canViewTask,
+  canUpdateTask,
+  canChangeTaskStatus,
+  canDeleteTask,
+  canViewProject,
+  canManageProject,
+  canAddProjectTasks
+};
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const os = require('os');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const JobLock = require('../models/JobLock');
+const { notify } = require('./notifications');
+const { runWithContext } = require('../utils/requestContext');
+
+const JOB_NAME = 'reminders';
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+// Longest reminder offset users can choose, which bounds the tasks scanned
+const MAX_REMINDER_OFFSET_MINUTES = 7 * 24 * 60;
+
+// Identifies this process as the holder of the job lock
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const jobIntervalMs = () => (parseInt(process.env.REMINDER_JOB_INTERVAL_SECONDS) || 60) * 1000;
+
+// Tasks overdue for longer than this are left alone, so the first run (or one
+// after a long outage) does not flood users with old news
+const overdueLookbackMs = () => (parseInt(process.env.OVERDUE_LOOKBACK_HOURS) || 24) * 60 * 60 * 1000;
+
+const formatTimeLeft = (minutes) => {
+  const [amount, unit] = minutes >= 24 * 60
+    ? [Math.round(minutes / (24 * 60)), 'day']
+    : minutes >= 60 ? [Math.round(minutes / 60), 'hour'] : [Math.max(Math.round(minutes), 1), 'minute'];
+  return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+};
+
+// The notification due for a task at `now`, if any. Of several reminder
+// offsets that have passed only the latest one is sent.
+const dueNotification = (task, user, now) => {
+  const preferences = user.notificationPreferences || {};
+  const due = task.dueDate.getTime();
+
+  if (due <= now.getTime()) {
+    if (preferences.overdue === false) return null;
+    return {
+      key: `overdue:${task._id}:${user._id}:${due}`,
+      type: 'overdue',
+      title: `Overdue: ${task.title}`,
+      message: `"${task.title}" was due ${task.dueDate.toISOString()}.`
+    };
+  }
+
+  const minutesLeft = (due - now.getTime()) / 60000;
+  const passed = (preferences.reminderOffsets || []).filter(offset => offset >= minutesLeft);
+  if (passed.length === 0) return null;
+
+  const offset = Math.min(...passed);
+  return {
+    key: `reminder:${task._id}:${user._id}:${due}:${offset}`,
+    type: 'reminder',
+    title: `Reminder: ${task.title}`,
+    message: `"${task.title}" is due in ${formatTimeLeft(minutesLeft)}.`
+  };
+};
+
+// Send the reminders and overdue notices due at `now`. Open tasks notify
+// their assignee, or their creator when unassigned. Every notification is
+// keyed by task, recipient and due date, so reruns never repeat one while a
+// new due date starts the reminders over.
+const processReminders = async (now = new Date()) => {
+  const tasks = await Task.find({
+    status: { $nin: CLOSED_STATUSES },
+    dueDate: {
+      $gt: new Date(now.getTime() - overdueLookbackMs()),
+      $lte: new Date(now.getTime() + MAX_REMINDER_OFFSET_MINUTES * 60 * 1000)
+    }
+  }).select('title dueDate assignedTo createdBy');
+
+  const recipientOf = task => task.assignedTo || task.createdBy;
+  const users = await User.find({
+    _id: { $in: tasks.map(recipientOf) },
+    isActive: true
+  }).select('username email notificationPreferences');
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  const summary = { reminder: 0, overdue: 0 };
+  for (const task of tasks) {
+    const user = usersById.get(recipientOf(task).toString());
+    const pending = user && dueNotification(task, user, now);
+    if (!pending) continue;
+
+    try {
+      if (await notify(user, { ...pending, task: task._id })) {
+        summary[pending.type] += 1;
+      }
+    } catch (error) {
+      console.error(`Reminder error for task ${task._id}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+// Run the scheduler on every instance; the lock makes only one of them do the
+// work at a time, and another takes over once its holder stops renewing it
+const runReminderJob = async (now = new Date()) => {
+  const ttlMs = Math.max(jobIntervalMs() * 3, 2 * 60 * 1000);
+  if (!(await JobLock.acquire(JOB_NAME, instanceId, ttlMs))) return null;
+
+  return runWithContext({}, () => processReminders(now));
+};
+
+const startReminderJob = (intervalMs = jobIntervalMs()) => {
+  const timer = setInterval(() => {
+    runReminderJob().catch(error => console.error('Reminder job error:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  MAX_REMINDER_OFFSET_MINUTES,
+  processReminders,
+  runReminderJob,
+  startReminderJob
+};
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+// File storage drivers. A driver stores opaque keys such as
+// `tasks/<taskId>/<attachmentId>` and exposes:
+//   put(key, buffer, { contentType }) - store a file, replacing any existing one
+//   get(key)                          - resolve to a readable stream, or null when missing
+//   remove(key)                       - delete a file; missing files are not an error
+// Drivers for S3-compatible object stores (or anything else) are plugged in
+// with `registerDriver` and selected through STORAGE_DRIVER.
+const drivers = {
+  local: () => {
+    const root = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', 'uploads'));
+
+    // Keys never come from user input, but refuse to leave the root anyway
+    const resolve = (key) => {
+      const file = path.resolve(root, key);
+      if (!file.startsWith(root + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+      return file;
+    };
+
+    return {
+      put: async (key, buffer) => {
+        const file = resolve(key);
+        await fsp.mkdir(path.dirname(file), { recursive: true });
+        await fsp.writeFile(file, buffer);
+      },
+      get: async (key) => {
+        const file = resolve(key);
+        try {
+          await fsp.access(file);
+        } catch (error) {
+          return null;
+        }
+        return fs.createReadStream(file);
+      },
+      remove: async (key) => {
+        await fsp.rm(resolve(key), { force: true });
+      }
+    };
+  },
+  // Placeholder for an S3-compatible backend: register a real driver under
+  // this name (e.g. wrapping the AWS SDK or a MinIO client) to use it
+  s3: () => {
+    throw new Error('The s3 storage driver is not installed; register one with registerDriver(\'s3\', factory)');
+  }
+};
+
+let storage;
+
+// Register an additional named driver selectable through STORAGE_DRIVER
+const registerDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+// Replace the active driver (useful for tests)
+const setStorage = (customStorage) => {
+  storage = customStorage;
+};
+
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const factory = drivers[name];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    storage = factory();
+  }
+  return storage;
+};
+
+module.exports = { getStorage, setStorage, registerDriver };
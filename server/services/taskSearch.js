@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { parseSearch, highlight } = require('../utils/searchQuery');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { TASK_SORT_FIELDS } = require('../utils/taskFilters');
+
+// Text search score, higher for better matches
+const RELEVANCE = { path: 'score', type: 'number', compute: { $meta: 'textScore' } };
+
+// Condition for the `assignee:` search filter
+const assigneeCondition = async (value, user) => {
+  if (value === undefined) return null;
+
+  const name = value.toLowerCase();
+  if (name === 'me') return { assignedTo: user._id };
+  if (name === 'none') return { assignedTo: null };
+
+  const assignee = await User.findOne({ username: value }).select('_id');
+  // An unknown username matches nothing rather than being ignored
+  return { assignedTo: assignee ? assignee._id : new mongoose.Types.ObjectId() };
+};
+
+// Highlighted title, description and tags of a result, leaving out fields
+// without a match
+const highlightsFor = (task, terms) => {
+  const highlights = {};
+  const title = highlight(task.title, terms);
+  const description = highlight(task.description, terms);
+  const tags = task.tags.map(tag => highlight(tag, terms)).filter(Boolean);
+
+  if (title) highlights.title = title;
+  if (description) highlights.description = description;
+  if (tags.length > 0) highlights.tags = tags;
+  return highlights;
+};
+
+// Search the tasks matching `scope` (visibility and list filters) with the
+// query language of utils/searchQuery.js. `query` holds the list options of
+// utils/pagination.js; results with free text can also be sorted by
+// `relevance`, which is the default for them.
+const searchTasks = async (user, search, scope, query) => {
+  const parsed = parseSearch(search);
+  const assignee = await assigneeCondition(parsed.assignee, user);
+
+  const options = parseListOptions(query, {
+    sortFields: parsed.text ? { ...TASK_SORT_FIELDS, relevance: RELEVANCE } : TASK_SORT_FIELDS,
+    defaultSort: parsed.text ? '-relevance,-createdAt' : '-createdAt'
+  });
+
+  const conditions = [scope, parsed.filter, assignee].filter(condition => condition && Object.keys(condition).length > 0);
+  const filter = {
+    ...(parsed.text && { $text: { $search: parsed.text } }),
+    ...(conditions.length > 0 && { $and: conditions })
+  };
+
+  const { items, raw, pagination } = await paginate(Task, filter, options, {
+    addFields: parsed.text ? { score: RELEVANCE.compute } : {},
+    populate: [
+      { path: 'assignedTo', select: 'username email' },
+      { path: 'createdBy', select: 'username email' }
+    ]
+  });
+
+  return {
+    items: items.map((task, index) => ({
+      ...task.toJSON(),
+      ...(parsed.text && { score: raw[index].score }),
+      highlights: highlightsFor(task, parsed.terms)
+    })),
+    pagination
+  };
+};
+
+module.exports = {
+  RELEVANCE,
+  searchTasks
+};
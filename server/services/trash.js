@@ -0,0 +1,67 @@
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const { removeTaskFiles } = require('./attachments');
+const { runWithContext } = require('../utils/requestContext');
+
+const DEFAULT_JOB_INTERVAL_MS = 60 * 60 * 1000;
+
+// Days a task stays in the trash before it is purged for good
+const retentionDays = () => {
+  const days = parseInt(process.env.TASK_TRASH_RETENTION_DAYS);
+  return Number.isNaN(days) ? 30 : Math.max(days, 0);
+};
+
+// Move a task to the trash. Only the trash fields are validated, so tasks
+// whose due date has passed can still be deleted.
+const trashTask = async (task, user) => {
+  task.deletedAt = new Date();
+  task.deletedBy = user._id;
+  await task.save({ validateModifiedOnly: true });
+  return task;
+};
+
+// Take a task out of the trash
+const restoreTask = async (task) => {
+  task.deletedAt = undefined;
+  task.deletedBy = undefined;
+  await task.save({ validateModifiedOnly: true });
+  return task;
+};
+
+// Permanently delete tasks (trashed or not) with their comments, links and
+// stored files. Activity is kept as history.
+const purgeTasks = async (tasks) => {
+  const list = [].concat(tasks);
+  const taskIds = list.map(task => task._id);
+  if (taskIds.length === 0) return 0;
+
+  const { deletedCount } = await Task.deleteMany({ _id: { $in: taskIds } });
+  await Comment.deleteForTasks(taskIds);
+  await Task.detachLinks(taskIds);
+  await removeTaskFiles(list);
+  return deletedCount;
+};
+
+// Purge every task that has been in the trash longer than the retention period
+const purgeExpiredTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - retentionDays() * 24 * 60 * 60 * 1000);
+  const tasks = await Task.find({ deletedAt: { $lte: cutoff } }).select('attachments');
+  return purgeTasks(tasks);
+};
+
+const startTrashJob = (intervalMs = DEFAULT_JOB_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    runWithContext({}, purgeExpiredTrash).catch(error => console.error('Trash retention job error:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  retentionDays,
+  trashTask,
+  restoreTask,
+  purgeTasks,
+  purgeExpiredTrash,
+  startTrashJob
+};
@@ -0,0 +1,153 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Session = require('../models/Session');
+const { processDueDeletions } = require('../services/accountDeletion');
+
+describe('Account Export and Deletion', () => {
+  let member;
+  let colleague;
+  let adminToken;
+  let memberToken;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/test');
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Task.deleteMany({});
+    await Session.deleteMany({});
+    delete process.env.ACCOUNT_DELETION_GRACE_DAYS;
+
+    await new User({
+      username: 'adminuser',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin'
+    }).save();
+    member = await new User({
+      username: 'member',
+      email: 'member@example.com',
+      password: 'password123'
+    }).save();
+    colleague = await new User({
+      username: 'colleague',
+      email: 'colleague@example.com',
+      password: 'password123'
+    }).save();
+
+    await Task.create([
+      { title: 'Own task', createdBy: member._id },
+      { title: 'Assigned task', createdBy: colleague._id, assignedTo: member._id }
+    ]);
+
+    adminToken = (await login('admin@example.com')).body.token;
+    memberToken = (await login('member@example.com')).body.token;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const login = (email) => request(app)
+    .post('/api/auth/login')
+    .send({ email, password: 'password123' });
+
+  it('should export the profile and tasks as a download', async () => {
+    const response = await request(app)
+      .get('/api/auth/me/export')
+      .set('Authorization', `Bearer ${memberToken}`)
+      .expect(200);
+
+    expect(response.headers['content-disposition']).toContain('attachment');
+    const data = JSON.parse(response.text);
+    expect(data.profile.email).toBe('member@example.com');
+    expect(data.profile.password).toBeUndefined();
+    expect(data.tasks.created).toHaveLength(1);
+    expect(data.tasks.assigned).toHaveLength(1);
+  });
+
+  it('should schedule deletion and allow cancelling it', async () => {
+    await request(app)
+      .post('/api/auth/me/deletion')
+      .set('Authorization', `Bearer ${memberToken}`)
+      .send({ password: 'wrongpassword1' })
+      .expect(400);
+
+    const response = await request(app)
+      .post('/api/auth/me/deletion')
+      .set('Authorization', `Bearer ${memberToken}`)
+      .send({ password: 'password123', taskStrategy: 'delete' })
+      .expect(202);
+
+    expect(new Date(response.body.deletion.scheduledFor) > new Date()).toBe(true);
+    expect(await processDueDeletions()).toBe(0);
+
+    await request(app)
+      .delete('/api/auth/me/deletion')
+      .set('Authorization', `Bearer ${memberToken}`)
+      .expect(200);
+
+    const user = await User.findById(member._id);
+    expect(user.deletion.scheduledFor).toBeUndefined();
+  });
+
+  it('should delete the account once the grace period is over', async () => {
+    await request(app)
+      .post('/api/auth/me/deletion')
+      .set('Authorization', `Bearer ${memberToken}`)
+      .send({ password: 'password123', taskStrategy: 'reassign', reassignTo: colleague._id })
+      .expect(202);
+
+    expect(await processDueDeletions(new Date(Date.now() + 30 * 24 * 60 * 60 * 1000))).toBe(1);
+
+    expect(await User.findById(member._id)).toBeNull();
+    expect(await Task.countDocuments({ createdBy: colleague._id })).toBe(2);
+    expect(await Task.countDocuments({ assignedTo: colleague._id })).toBe(1);
+  });
+
+  it('should delete immediately without a grace period', async () => {
+    process.env.ACCOUNT_DELETION_GRACE_DAYS = '0';
+
+    const response = await request(app)
+      .post('/api/auth/me/deletion')
+      .set('Authorization', `Bearer ${memberToken}`)
+      .send({ password: 'password123', taskStrategy: 'delete' })
+      .expect(200);
+
+    expect(response.body.tasks.deleted).toBe(1);
+    expect(response.body.tasks.unassigned).toBe(1);
+    expect(await Task.countDocuments()).toBe(1);
+
+    await request(app)
+      .get('/api/tasks')
+      .set('Authorization', `Bearer ${memberToken}`)
+      .expect(401);
+  });
+
+  it('should anonymize tasks when an admin deletes a user', async () => {
+    const response = await request(app)
+      .delete(`/api/users/${member._id}?taskStrategy=anonymize`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.tasks.anonymized).toBe(1);
+
+    const task = await Task.findOne({ title: 'Own task' }).populate('createdBy');
+    expect(task.createdBy.username).toBe('deleted-user');
+    expect(task.createdBy.isActive).toBe(false);
+    expect((await Task.findOne({ title: 'Assigned task' })).assignedTo).toBeUndefined();
+  });
+
+  it('should require a reassignment target for the reassign strategy', async () => {
+    await request(app)
+      .delete(`/api/users/${member._id}?taskStrategy=reassign`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+
+    expect(await User.findById(member._id)).not.toBeNull();
+  });
+});
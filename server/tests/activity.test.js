@@ -0,0 +1,151 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Activity = require('../models/Activity');
+
+describe('Task Activity', () => {
+  let owner;
+  let helper;
+  let ownerToken;
+  let helperToken;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/test');
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Task.deleteMany({});
+    await Activity.deleteMany({});
+
+    [owner, helper] = await Promise.all(['owner', 'helper'].map(name =>
+      new User({ username: name, email: `${name}@example.com`, password: 'password123' }).save()
+    ));
+
+    ownerToken = (await login('owner@example.com')).body.token;
+    helperToken = (await login('helper@example.com')).body.token;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const login = (email) => request(app)
+    .post('/api/auth/login')
+    .send({ email, password: 'password123' });
+
+  const createTask = async () => {
+    const response = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ title: 'Tracked', priority: 'low' })
+      .expect(201);
+    return response.body.task;
+  };
+
+  const activityOf = (taskId, token = ownerToken) => request(app)
+    .get(`/api/tasks/${taskId}/activity`)
+    .set('Authorization', `Bearer ${token}`);
+
+  it('should record creation and field changes with the actor', async () => {
+    const task = await createTask();
+
+    await request(app)
+      .put(`/api/tasks/${task._id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ priority: 'high', title: 'Tracked task', assignedTo: helper._id })
+      .expect(200);
+
+    const { body } = await activityOf(task._id).expect(200);
+    const actions = body.activity.map(entry => entry.action);
+    expect(actions).toEqual(expect.arrayContaining(['created', 'updated', 'assigned']));
+
+    const updated = body.activity.find(entry => entry.action === 'updated');
+    expect(updated.actor.username).toBe('owner');
+    expect(updated.changes).toEqual(expect.arrayContaining([
+      { field: 'priority', from: 'low', to: 'high' },
+      { field: 'title', from: 'Tracked', to: 'Tracked task' }
+    ]));
+  });
+
+  it('should record status changes from any route', async () => {
+    const task = await createTask();
+    await Task.updateOne({ _id: task._id }, { assignedTo: helper._id });
+
+    await request(app)
+      .patch(`/api/tasks/${task._id}/status`)
+      .set('Authorization', `Bearer ${helperToken}`)
+      .send({ status: 'in-progress' })
+      .expect(200);
+
+    const doc = await Task.findById(task._id);
+    await doc.markComplete();
+
+    const entries = await Activity.find({ task: task._id, action: 'status_changed' }).sort({ createdAt: 1, _id: 1 });
+    expect(entries).toHaveLength(2);
+    expect(entries[0].actor.toString()).toBe(helper._id.toString());
+    expect(entries[0].changes[0]).toMatchObject({ from: 'pending', to: 'in-progress' });
+    expect(entries[1].actor).toBeUndefined();
+    expect(entries[1].changes[0]).toMatchObject({ from: 'in-progress', to: 'completed' });
+  });
+
+  it('should keep the history of deleted tasks and show it in feeds', async () => {
+    const task = await createTask();
+
+    await request(app)
+      .put(`/api/tasks/${task._id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ assignedTo: helper._id })
+      .expect(200);
+
+    await request(app)
+      .delete(`/api/tasks/${task._id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(200);
+
+    expect(await Activity.countDocuments({ task: task._id, action: 'deleted' })).toBe(1);
+
+    const feed = await request(app)
+      .get('/api/activity')
+      .set('Authorization', `Bearer ${helperToken}`)
+      .expect(200);
+
+    expect(feed.body.activity.map(entry => entry.action)).toEqual(['deleted', 'assigned']);
+    expect(feed.body.activity[0].taskTitle).toBe('Tracked');
+  });
+
+  it('should apply the task access rules', async () => {
+    const task = await createTask();
+    await activityOf(task._id, helperToken).expect(403);
+  });
+
+  it('should edit overdue tasks without revalidating the due date', async () => {
+    const task = await Task.create({
+      title: 'Overdue',
+      createdBy: owner._id,
+      dueDate: new Date(Date.now() + 60 * 60 * 1000)
+    });
+    await Task.updateOne({ _id: task._id }, { dueDate: new Date(Date.now() - 60 * 60 * 1000) });
+
+    await request(app)
+      .put(`/api/tasks/${task._id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ title: 'Overdue, renamed' })
+      .expect(200);
+
+    const { body } = await activityOf(task._id).expect(200);
+    const updated = body.activity.find(entry => entry.action === 'updated');
+    expect(updated.changes).toEqual([
+      { field: 'title', from: 'Overdue', to: 'Overdue, renamed' }
+    ]);
+
+    // A new due date still has to be in the future
+    await request(app)
+      .put(`/api/tasks/${task._id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ dueDate: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString() })
+      .expect(400);
+  });
+});
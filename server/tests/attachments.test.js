@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const { purgeTasks } = require('../services/trash');
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from('pixels')]);
+
+describe('Task Attachments', () => {
+  let storageDir;
+  let user;
+  let token;
+  let task;
+
+  beforeAll(async () => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+    process.env.STORAGE_LOCAL_DIR = storageDir;
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/test');
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Task.deleteMany({});
+    delete process.env.ATTACHMENT_MAX_SIZE_MB;
+
+    user = await new User({
+      username: 'uploader',
+      email: 'uploader@example.com',
+      password: 'password123'
+    }).save();
+    task = await Task.create({ title: 'Fix the logo', createdBy: user._id });
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'uploader@example.com', password: 'password123' });
+    token = response.body.token;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  const upload = (buffer, filename, contentType, authToken = token) => request(app)
+    .post(`/api/tasks/${task._id}/attachments`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .attach('file', buffer, { filename, contentType });
+
+  it('should upload and download an attachment', async () => {
+    const uploaded = await upload(PNG, '../../logo.png', 'image/png').expect(201);
+    expect(uploaded.body.attachment).toMatchObject({ filename: 'logo.png', contentType: 'image/png', size: PNG.length });
+
+    const download = await request(app)
+      .get(`/api/tasks/${task._id}/attachments/${uploaded.body.attachment._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+
+    expect(download.headers['content-type']).toBe('image/png');
+    expect(download.headers['content-disposition']).toContain('logo.png');
+    expect(download.body.equals(PNG)).toBe(true);
+  });
+
+  it('should reject disallowed, mislabelled and oversized files', async () => {
+    await upload(Buffer.from('MZ'), 'setup.exe', 'application/x-msdownload').expect(415);
+    await upload(Buffer.from('not an image'), 'fake.png', 'image/png').expect(415);
+
+    process.env.ATTACHMENT_MAX_SIZE_MB = '1';
+    await upload(Buffer.alloc(1024 * 1024 + 1), 'big.txt', 'text/plain').expect(413);
+
+    expect((await Task.findById(task._id)).attachments).toHaveLength(0);
+  });
+
+  it('should apply the task access rules', async () => {
+    const uploaded = await upload(PNG, 'logo.png', 'image/png').expect(201);
+
+    await new User({ username: 'outsider', email: 'outsider@example.com', password: 'password123' }).save();
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'outsider@example.com', password: 'password123' });
+
+    await request(app)
+      .get(`/api/tasks/${task._id}/attachments/${uploaded.body.attachment._id}`)
+      .set('Authorization', `Bearer ${login.body.token}`)
+      .expect(403);
+    await upload(PNG, 'other.png', 'image/png', login.body.token).expect(403);
+  });
+
+  it('should delete stored files with the attachment or purged task', async () => {
+    const first = await upload(PNG, 'one.png', 'image/png').expect(201);
+    await upload(PNG, 'two.png', 'image/png').expect(201);
+    const taskDir = path.join(storageDir, 'tasks', task._id.toString());
+    expect(fs.readdirSync(taskDir)).toHaveLength(2);
+
+    await request(app)
+      .delete(`/api/tasks/${task._id}/attachments/${first.body.attachment._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(fs.readdirSync(taskDir)).toHaveLength(1);
+
+    // Trashed tasks keep their files until they are purged
+    await request(app)
+      .delete(`/api/tasks/${task._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(fs.readdirSync(taskDir)).toHaveLength(1);
+
+    await purgeTasks(await Task.find({ _id: task._id }).setOptions({ withDeleted: true }));
+    expect(fs.readdirSync(taskDir)).toHaveLength(0);
+  });
+});
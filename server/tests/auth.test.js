@@ -2,6 +2,11 @@ const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../server');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const mailer = require('../services/mailer');
+const { generateTotp } = require('../utils/totp');
 
 describe('Auth Routes', () => {
   let testUser;
@@ -14,6 +19,9 @@ describe('Auth Routes', () => {
   beforeEach(async () => {
     // Clear database before each test
     await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await Session.deleteMany({});
+    await ApiKey.deleteMany({});
     
     // Create a test user
     testUser = new User({
@@ -228,4 +236,565 @@ describe('Auth Routes', () => {
       expect(response.body.message).toContain('already exists');
     });
   });
-}); 
\ No newline at end of file
+
+  describe('POST /api/auth/refresh', () => {
+    let tokens;
+
+    beforeEach(async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'test@example.com',
+          password: 'password123'
+        });
+      tokens = loginResponse.body;
+    });
+
+    it('should issue a new token pair for a valid refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('token');
+      expect(response.body.refreshToken).not.toBe(tokens.refreshToken);
+    });
+
+    it('should revoke the whole family when a rotated token is reused', async () => {
+      const rotated = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(401);
+
+      expect(response.body.message).toContain('reuse');
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: rotated.body.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${rotated.body.token}`)
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('should revoke the access and refresh tokens immediately', async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'test@example.com',
+          password: 'password123'
+        });
+      const { token, refreshToken } = loginResponse.body;
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      expect(response.body.message).toBe('Token has been revoked.');
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+    });
+  });
+
+  describe('Password reset', () => {
+    let sentMail;
+
+    beforeEach(() => {
+      sentMail = [];
+      mailer.setTransport({ send: async (message) => sentMail.push(message) });
+    });
+
+    const requestResetToken = async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' })
+        .expect(200);
+
+      return sentMail[0].text.match(/token=([a-f0-9]+)/)[1];
+    };
+
+    it('should not reveal whether an account exists', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(response.body.message).toContain('If an account exists');
+      expect(sentMail).toHaveLength(0);
+    });
+
+    it('should reset the password with a valid token only once', async () => {
+      const resetToken = await requestResetToken();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'newpassword1' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'newpassword1' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'anotherpass2' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid or expired reset token');
+    });
+
+    it('should invalidate existing sessions after a reset', async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      const resetToken = await requestResetToken();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'newpassword1' })
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${loginResponse.body.token}`)
+        .expect(401);
+    });
+  });
+
+  describe('Email verification', () => {
+    let sentMail;
+
+    beforeEach(() => {
+      sentMail = [];
+      mailer.setTransport({ send: async (message) => sentMail.push(message) });
+    });
+
+    const tokenFromMail = (message) => message.text.match(/token=([a-f0-9]+)/)[1];
+
+    it('should mail a verification link on register and verify the email', async () => {
+      const registerResponse = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'newuser',
+          email: 'new@example.com',
+          password: 'password123'
+        })
+        .expect(201);
+
+      expect(registerResponse.body.user.emailVerified).toBe(false);
+      expect(sentMail[0].to).toBe('new@example.com');
+
+      const response = await request(app)
+        .get('/api/auth/verify-email')
+        .query({ token: tokenFromMail(sentMail[0]) })
+        .expect(200);
+
+      expect(response.body.user.emailVerified).toBe(true);
+    });
+
+    it('should throttle resending the verification email', async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      const token = loginResponse.body.token;
+
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(429);
+
+      expect(response.body.retryAfter).toBeGreaterThan(0);
+      expect(sentMail).toHaveLength(1);
+    });
+
+    it('should require re-verification after an email change', async () => {
+      await User.updateOne({ _id: testUser._id }, { emailVerified: true });
+
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      const response = await request(app)
+        .put('/api/auth/me')
+        .set('Authorization', `Bearer ${loginResponse.body.token}`)
+        .send({ email: 'changed@example.com' })
+        .expect(200);
+
+      expect(response.body.user.emailVerified).toBe(false);
+      expect(sentMail[0].to).toBe('changed@example.com');
+    });
+
+    it('should not let unverified users create public tasks', async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${loginResponse.body.token}`)
+        .send({ title: 'Public task', isPublic: true })
+        .expect(403);
+
+      expect(response.body.code).toBe('EMAIL_NOT_VERIFIED');
+    });
+  });
+
+  describe('PUT /api/auth/me/password', () => {
+    let token;
+
+    beforeEach(async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      token = loginResponse.body.token;
+    });
+
+    it('should require the current password', async () => {
+      const response = await request(app)
+        .put('/api/auth/me/password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: 'wrongpassword', newPassword: 'newpassword1' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Current password is incorrect');
+    });
+
+    it('should reject tokens issued before the change', async () => {
+      const response = await request(app)
+        .put('/api/auth/me/password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: 'password123', newPassword: 'newpassword1' })
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.token}`)
+        .expect(200);
+    });
+  });
+
+  describe('Login lockout', () => {
+    const attemptLogin = (password) => request(app)
+      .post('/api/auth/login')
+      .send({ email: 'test@example.com', password });
+
+    it('should slow down repeated failed logins', async () => {
+      await attemptLogin('wrongpassword').expect(401);
+      await attemptLogin('wrongpassword').expect(401);
+      await attemptLogin('wrongpassword').expect(401);
+
+      const response = await attemptLogin('password123').expect(429);
+
+      expect(response.body.code).toBe('LOGIN_THROTTLED');
+      expect(response.headers['retry-after']).toBeDefined();
+    });
+
+    it('should return a distinct response for locked accounts', async () => {
+      await User.updateOne(
+        { _id: testUser._id },
+        { failedLoginAttempts: 5, lockUntil: new Date(Date.now() + 60 * 1000) }
+      );
+
+      const response = await attemptLogin('password123').expect(423);
+
+      expect(response.body.code).toBe('ACCOUNT_LOCKED');
+    });
+
+    it('should reset failed attempts on successful login', async () => {
+      await attemptLogin('wrongpassword').expect(401);
+      await attemptLogin('password123').expect(200);
+
+      const user = await User.findById(testUser._id);
+      expect(user.failedLoginAttempts).toBe(0);
+      expect(user.lastLogin).toBeDefined();
+    });
+
+    it('should let an admin unlock the account', async () => {
+      await new User({
+        username: 'adminuser',
+        email: 'admin@example.com',
+        password: 'password123',
+        role: 'admin'
+      }).save();
+      await User.updateOne(
+        { _id: testUser._id },
+        { failedLoginAttempts: 5, lockUntil: new Date(Date.now() + 60 * 1000) }
+      );
+
+      const adminLogin = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'admin@example.com', password: 'password123' });
+
+      await request(app)
+        .post(`/api/users/${testUser._id}/unlock`)
+        .set('Authorization', `Bearer ${adminLogin.body.token}`)
+        .expect(200);
+
+      await attemptLogin('password123').expect(200);
+    });
+  });
+
+  describe('Two-factor authentication', () => {
+    const enrol = async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      const token = loginResponse.body.token;
+
+      const setupResponse = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(setupResponse.body.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+
+      const confirmResponse = await request(app)
+        .post('/api/auth/2fa/confirm')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: generateTotp(setupResponse.body.secret) })
+        .expect(200);
+
+      return {
+        secret: setupResponse.body.secret,
+        recoveryCodes: confirmResponse.body.recoveryCodes
+      };
+    };
+
+    it('should require a second step after enrolment', async () => {
+      const { secret } = await enrol();
+
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })
+        .expect(200);
+
+      expect(loginResponse.body.twoFactorRequired).toBe(true);
+      expect(loginResponse.body).not.toHaveProperty('token');
+
+      // The code used to confirm enrolment cannot be replayed, so use the next step
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({
+          challengeToken: loginResponse.body.challengeToken,
+          code: generateTotp(secret, { time: Date.now() + 30 * 1000 })
+        })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('token');
+    });
+
+    it('should accept each recovery code only once', async () => {
+      const { recoveryCodes } = await enrol();
+
+      const login = () => request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      const first = await login();
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: first.body.challengeToken, code: recoveryCodes[0] })
+        .expect(200);
+
+      expect(response.body.recoveryCodesRemaining).toBe(recoveryCodes.length - 1);
+
+      const second = await login();
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: second.body.challengeToken, code: recoveryCodes[0] })
+        .expect(401);
+    });
+
+    it('should not accept a challenge token as an access token', async () => {
+      await enrol();
+
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${loginResponse.body.challengeToken}`)
+        .expect(401);
+    });
+  });
+
+  describe('Session management', () => {
+    const login = (userAgent) => request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', userAgent)
+      .send({ email: 'test@example.com', password: 'password123' });
+
+    it('should list active sessions and flag the current one', async () => {
+      await login('Laptop');
+      const phone = await login('Phone');
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${phone.body.token}`)
+        .expect(200);
+
+      expect(response.body.sessions).toHaveLength(2);
+      const current = response.body.sessions.find(session => session.current);
+      expect(current.userAgent).toBe('Phone');
+    });
+
+    it('should reject tokens of a revoked session', async () => {
+      const laptop = await login('Laptop');
+      const phone = await login('Phone');
+
+      const sessions = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${phone.body.token}`);
+      const laptopSession = sessions.body.sessions.find(session => !session.current);
+
+      await request(app)
+        .delete(`/api/auth/sessions/${laptopSession.id}`)
+        .set('Authorization', `Bearer ${phone.body.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${laptop.body.token}`)
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: laptop.body.refreshToken })
+        .expect(401);
+    });
+
+    it('should sign out everywhere else', async () => {
+      const laptop = await login('Laptop');
+      const phone = await login('Phone');
+
+      const response = await request(app)
+        .delete('/api/auth/sessions')
+        .set('Authorization', `Bearer ${phone.body.token}`)
+        .expect(200);
+
+      expect(response.body.revoked).toBe(1);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${laptop.body.token}`)
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${phone.body.token}`)
+        .expect(200);
+    });
+  });
+
+  describe('Personal API keys', () => {
+    let token;
+
+    beforeEach(async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      token = loginResponse.body.token;
+    });
+
+    const createKey = (data) => request(app)
+      .post('/api/auth/me/api-keys')
+      .set('Authorization', `Bearer ${token}`)
+      .send(data);
+
+    it('should create a key that is shown once and stored hashed', async () => {
+      const response = await createKey({ name: 'CI', scopes: ['tasks:read'] }).expect(201);
+
+      expect(response.body.key).toMatch(/^pat_/);
+      expect(response.body.apiKey).not.toHaveProperty('keyHash');
+
+      const stored = await ApiKey.findById(response.body.apiKey._id).select('+keyHash');
+      expect(stored.keyHash).not.toBe(response.body.key);
+    });
+
+    it('should authenticate with the key and enforce its scopes', async () => {
+      const { body } = await createKey({ name: 'Reporting', scopes: ['tasks:read'] });
+
+      await request(app)
+        .get('/api/tasks')
+        .set('X-API-Key', body.key)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${body.key}`)
+        .send({ title: 'From a script' })
+        .expect(403);
+
+      expect(response.body.message).toContain('tasks:write');
+
+      const stored = await ApiKey.findById(body.apiKey._id);
+      expect(stored.lastUsedAt).toBeDefined();
+    });
+
+    it('should not allow account management with a key', async () => {
+      const { body } = await createKey({ name: 'Cron', scopes: ['tasks:write'] });
+
+      await request(app)
+        .get('/api/auth/me/api-keys')
+        .set('X-API-Key', body.key)
+        .expect(403);
+    });
+
+    it('should reject revoked and expired keys', async () => {
+      const { body } = await createKey({ name: 'Old', scopes: ['tasks:read'] });
+
+      await request(app)
+        .delete(`/api/auth/me/api-keys/${body.apiKey._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/tasks')
+        .set('X-API-Key', body.key)
+        .expect(401);
+
+      const expiring = await createKey({ name: 'Short', scopes: ['tasks:read'] });
+      await ApiKey.updateOne({ _id: expiring.body.apiKey._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+      await request(app)
+        .get('/api/tasks')
+        .set('X-API-Key', expiring.body.key)
+        .expect(401);
+    });
+
+    it('should only let admins create users:admin keys', async () => {
+      await createKey({ name: 'Escalate', scopes: ['users:admin'] }).expect(403);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+
+describe('Task Board', () => {
+  let user;
+  let token;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/test');
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Task.deleteMany({});
+    await Project.deleteMany({});
+
+    user = await new User({
+      username: 'planner',
+      email: 'planner@example.com',
+      password: 'password123'
+    }).save();
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'planner@example.com', password: 'password123' });
+    token = response.body.token;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const createTask = (title, extra = {}) => Task.create({ title, createdBy: user._id, ...extra });
+
+  const board = (query = {}) => request(app)
+    .get('/api/tasks/board')
+    .query(query)
+    .set('Authorization', `Bearer ${token}`);
+
+  const move = (task, data) => request(app)
+    .post(`/api/tasks/${task._id}/move`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(data);
+
+  const column = (response, status) => response.body.columns.find(c => c.status === status);
+  const titles = (response, status) => column(response, status).tasks.map(task => task.title);
+
+  it('should group tasks by status in rank order with counts', async () => {
+    await createTask('First');
+    await createTask('Second');
+    await createTask('Started', { status: 'in-progress' });
+
+    const response = await board().expect(200);
+
+    expect(response.body.columns.map(c => c.status)).toEqual(['pending', 'in-progress', 'completed', 'cancelled']);
+    expect(titles(response, 'pending')).toEqual(['First', 'Second']);
+    expect(column(response, 'pending')).toMatchObject({ count: 2, hasMore: false, wip: null });
+    expect(column(response, 'in-progress').count).toBe(1);
+  });
+
+  it('should reject an invalid project ID', async () => {
+    await board({ project: 'not-an-id' }).expect(400);
+    await board({ project: 'abcdefghijkl' }).expect(400);
+  });
+
+  it('should reorder within a column and move across columns', async () => {
+    const first = await createTask('First');
+    const second = await createTask('Second');
+    const third = await createTask('Third');
+    const started = await createTask('Started', { status: 'in-progress' });
+
+    await move(third, { before: first._id }).expect(200);
+    let response = await board().expect(200);
+    expect(titles(response, 'pending')).toEqual(['Third', 'First', 'Second']);
+
+    await move(first, { status: 'in-progress', after: started._id }).expect(200);
+    response = await board().expect(200);
+    expect(titles(response, 'pending')).toEqual(['Third', 'Second']);
+    expect(titles(response, 'in-progress')).toEqual(['Started', 'First']);
+
+    // Only the moved task's rank changes
+    const untouched = await Task.findById(second._id);
+    expect(untouched.rank).toBe(second.rank);
+
+    await move(second, { status: 'in-progress', after: third._id }).expect(400);
+    await move(second, { after: second._id }).expect(400);
+    await move(second, { after: first._id, before: started._id }).expect(400);
+  });
+
+  it('should rank tasks created before board ordering', async () => {
+    const older = await createTask('Older');
+    await createTask('Oldest');
+    await Task.updateMany({}, { $unset: { rank: 1 } });
+    const newer = await createTask('Newer');
+
+    await move(newer, { after: older._id }).expect(200);
+
+    const response = await board().expect(200);
+    expect(titles(response, 'pending')).toEqual(['Older', 'Newer', 'Oldest']);
+    expect(await Task.countDocuments({ rank: null })).toBe(0);
+  });
+
+  it('should report and enforce project WIP limits', async () => {
+    const created = await request(app)
+      .post('/api/projects')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Flow' })
+      .expect(201);
+    const projectId = created.body.project._id;
+
+    await request(app)
+      .put(`/api/projects/${projectId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ wipLimits: { 'in-progress': 1 } })
+      .expect(200);
+
+    await createTask('Doing', { project: projectId, status: 'in-progress' });
+    const waiting = await createTask('Waiting', { project: projectId });
+
+    const response = await board({ project: projectId }).expect(200);
+    expect(column(response, 'in-progress').wip).toEqual({ limit: 1, count: 1, exceeded: false });
+    expect(column(response, 'pending').wip).toBeNull();
+
+    const blocked = await move(waiting, { status: 'in-progress' }).expect(409);
+    expect(blocked.body.code).toBe('WIP_LIMIT_REACHED');
+
+    await move(waiting, { status: 'in-progress', force: true }).expect(200);
+    const forced = await board({ project: projectId }).expect(200);
+    expect(column(forced, 'in-progress').wip.exceeded).toBe(true);
+  });
+});
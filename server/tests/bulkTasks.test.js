@@ -0,0 +1,121 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Task = require('../models/Task');
+
+describe('Bulk Task Operations', () => {
+  let user;
+  let other;
+  let token;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/test');
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Task.deleteMany({});
+
+    user = await new User({
+      username: 'sprinter',
+      email: 'sprinter@example.com',
+      password: 'password123'
+    }).save();
+    other = await new User({
+      username: 'bystander',
+      email: 'bystander@example.com',
+      password: 'password123'
+    }).save();
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'sprinter@example.com', password: 'password123' });
+    token = response.body.token;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const createTask = (title, extra = {}) => Task.create({ title, createdBy: user._id, ...extra });
+
+  const bulk = (data) => request(app)
+    .post('/api/tasks/bulk')
+    .set('Authorization', `Bearer ${token}`)
+    .send(data);
+
+  it('should report success and failure per task', async () => {
+    const mine = await createTask('Mine');
+    const theirs = await Task.create({ title: 'Theirs', createdBy: other._id, isPublic: true });
+    const missing = new mongoose.Types.ObjectId().toString();
+
+    const response = await bulk({
+      ids: [mine._id, theirs._id, missing],
+      operation: 'priority',
+      value: 'urgent'
+    }).expect(200);
+
+    expect(response.body.summary).toEqual({ total: 3, succeeded: 1, failed: 2 });
+    expect(response.body.results.map(result => [result.ok, result.status])).toEqual([
+      [true, undefined],
+      [false, 403],
+      [false, 404]
+    ]);
+    expect(response.body.results[0]).toMatchObject({ from: 'medium', to: 'urgent', changed: true });
+
+    expect((await Task.findById(mine._id)).priority).toBe('urgent');
+    expect((await Task.findById(theirs._id)).priority).toBe('medium');
+  });
+
+  it('should not change anything in a dry run', async () => {
+    const tasks = await Promise.all(['A', 'B'].map(title => createTask(title, { tags: ['sprint-1'] })));
+
+    const response = await bulk({
+      ids: tasks.map(task => task._id),
+      operation: 'addTags',
+      value: ['done'],
+      dryRun: true
+    }).expect(200);
+
+    expect(response.body.dryRun).toBe(true);
+    expect(response.body.results[0].to).toEqual(['sprint-1', 'done']);
+    expect((await Task.findById(tasks[0]._id)).tags).toEqual(['sprint-1']);
+  });
+
+  it('should select tasks with a filter and keep blocker checks', async () => {
+    const blocker = await createTask('Blocker');
+    await createTask('Done soon', { tags: ['sprint-1'] });
+    await createTask('Stuck', { tags: ['sprint-1'], blockedBy: [blocker._id] });
+    await createTask('Next sprint', { tags: ['sprint-2'] });
+
+    const response = await bulk({
+      filter: { tag: 'sprint-1' },
+      operation: 'status',
+      value: 'completed'
+    }).expect(200);
+
+    expect(response.body.summary).toEqual({ total: 2, succeeded: 1, failed: 1 });
+    expect(response.body.results[1]).toMatchObject({ ok: false, status: 409, code: 'TASK_BLOCKED' });
+    expect(await Task.countDocuments({ status: 'completed' })).toBe(1);
+  });
+
+  it('should move tasks to the trash', async () => {
+    const tasks = await Promise.all(['A', 'B'].map(title => createTask(title)));
+
+    await bulk({ ids: tasks.map(task => task._id), operation: 'delete' }).expect(200);
+
+    expect(await Task.countDocuments()).toBe(0);
+    expect(await Task.countDocuments({ deletedAt: { $ne: null } })).toBe(2);
+  });
+
+  it('should validate the request', async () => {
+    const task = await createTask('A');
+
+    await bulk({ operation: 'priority', value: 'urgent' }).expect(400);
+    await bulk({ ids: [task._id], filter: {}, operation: 'priority', value: 'urgent' }).expect(400);
+    await bulk({ ids: [task._id], operation: 'priority', value: 'whenever' }).expect(400);
+    await bulk({ ids: [task._id], operation: 'rename', value: 'B' }).expect(400);
+    await bulk({ ids: [task._id], operation: 'assign', value: new mongoose.Types.ObjectId() }).expect(400);
+  });
+});
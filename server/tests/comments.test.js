@@ -0,0 +1,133 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+
+describe('Comment Routes', () => {
+  let tokens;
+  let task;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/test');
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Task.deleteMany({});
+    await Comment.deleteMany({});
+
+    const [author, assignee] = await Promise.all(['author', 'assignee', 'outsider'].map(name =>
+      new User({ username: name, email: `${name}@example.com`, password: 'password123' }).save()
+    ));
+
+    tokens = {};
+    for (const name of ['author', 'assignee', 'outsider']) {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: `${name}@example.com`, password: 'password123' });
+      tokens[name] = response.body.token;
+    }
+
+    task = await Task.create({ title: 'Discuss me', createdBy: author._id, assignedTo: assignee._id });
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const comment = (token, data) => request(app)
+    .post(`/api/tasks/${task._id}/comments`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(data);
+
+  it('should thread replies under their comment', async () => {
+    const { body } = await comment(tokens.author, { body: 'First!' }).expect(201);
+    const reply = await comment(tokens.assignee, { body: 'Reply', parent: body.comment._id }).expect(201);
+    await comment(tokens.author, { body: 'Nested', parent: reply.body.comment._id }).expect(201);
+
+    const response = await request(app)
+      .get(`/api/tasks/${task._id}/comments`)
+      .set('Authorization', `Bearer ${tokens.assignee}`)
+      .expect(200);
+
+    expect(response.body.pagination.total).toBe(1);
+    expect(response.body.comments[0].replies[0].body).toBe('Reply');
+    expect(response.body.comments[0].replies[0].replies[0].body).toBe('Nested');
+  });
+
+  it('should apply the task access rules', async () => {
+    await comment(tokens.outsider, { body: 'Let me in' }).expect(403);
+
+    await request(app)
+      .get(`/api/tasks/${task._id}/comments`)
+      .set('Authorization', `Bearer ${tokens.outsider}`)
+      .expect(403);
+  });
+
+  it('should record mentions of users who can see the task', async () => {
+    const { body } = await comment(tokens.author, { body: 'Thoughts @assignee? cc @outsider @nobody' }).expect(201);
+
+    expect(body.comment.mentions.map(u => u.username)).toEqual(['assignee']);
+
+    const response = await request(app)
+      .get('/api/tasks/mentions')
+      .set('Authorization', `Bearer ${tokens.assignee}`)
+      .expect(200);
+
+    expect(response.body.comments).toHaveLength(1);
+    expect(response.body.comments[0].task.title).toBe('Discuss me');
+
+    // Unassigned, the mention is no longer listed or counted
+    await Task.updateOne({ _id: task._id }, { $unset: { assignedTo: 1 } });
+    const hidden = await request(app)
+      .get('/api/tasks/mentions')
+      .set('Authorization', `Bearer ${tokens.assignee}`)
+      .expect(200);
+
+    expect(hidden.body.comments).toHaveLength(0);
+    expect(hidden.body.pagination.total).toBe(0);
+  });
+
+  it('should keep the edit history of a comment', async () => {
+    const { body } = await comment(tokens.author, { body: 'Tpyo' }).expect(201);
+    const url = `/api/tasks/${task._id}/comments/${body.comment._id}`;
+
+    await request(app)
+      .put(url)
+      .set('Authorization', `Bearer ${tokens.assignee}`)
+      .send({ body: 'Hijacked' })
+      .expect(403);
+
+    const updated = await request(app)
+      .put(url)
+      .set('Authorization', `Bearer ${tokens.author}`)
+      .send({ body: 'Typo' })
+      .expect(200);
+    expect(updated.body.comment.editedAt).toBeDefined();
+
+    const history = await request(app)
+      .get(`${url}/history`)
+      .set('Authorization', `Bearer ${tokens.author}`)
+      .expect(200);
+
+    expect(history.body.current.body).toBe('Typo');
+    expect(history.body.edits.map(e => e.body)).toEqual(['Tpyo']);
+  });
+
+  it('should keep a placeholder when a comment with replies is deleted', async () => {
+    const { body } = await comment(tokens.assignee, { body: 'Question' }).expect(201);
+    await comment(tokens.author, { body: 'Answer', parent: body.comment._id }).expect(201);
+
+    await request(app)
+      .delete(`/api/tasks/${task._id}/comments/${body.comment._id}`)
+      .set('Authorization', `Bearer ${tokens.assignee}`)
+      .expect(200);
+
+    const deleted = await Comment.findById(body.comment._id);
+    expect(deleted.deletedAt).toBeDefined();
+    expect(deleted.body).toBeUndefined();
+    expect(await Comment.countDocuments()).toBe(2);
+  });
+});
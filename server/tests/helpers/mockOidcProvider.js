@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+// Minimal OpenID Connect provider for tests: discovery, JWKS and a token
+// endpoint that checks PKCE. Codes are minted directly with `issueCode`
+// instead of going through an interactive authorize page.
+const startMockOidcProvider = async ({ clientId = 'test-client' } = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'test-key';
+  const codes = new Map();
+  const app = express();
+
+  app.use(express.urlencoded({ extended: false }));
+
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      code_challenge_methods_supported: ['S256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+  });
+
+  app.post('/token', (req, res) => {
+    const pending = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    if (!pending || req.body.client_id !== clientId) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (challenge !== pending.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const idToken = jwt.sign(
+      { ...pending.claims, nonce: pending.nonce },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: '5m' }
+    );
+
+    res.json({ access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+  });
+
+  // Simulate the user approving the request described by an authorization URL
+  const issueCode = (authorizationUrl, claims) => {
+    const params = new URL(authorizationUrl).searchParams;
+    const code = crypto.randomBytes(16).toString('hex');
+
+    codes.set(code, {
+      claims,
+      nonce: params.get('nonce'),
+      codeChallenge: params.get('code_challenge')
+    });
+
+    return { code, state: params.get('state') };
+  };
+
+  const close = () => new Promise(resolve => server.close(resolve));
+
+  return { issuer, clientId, issueCode, close };
+};
+
+module.exports = { startMockOidcProvider };
@@ -0,0 +1,171 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Session = require('../models/Session');
+const Impersonation = require('../models/Impersonation');
+const AuditLog = require('../models/AuditLog');
+const Role = require('../models/Role');
+const { clearRoleCache } = require('../services/policy');
+
+describe('Impersonation', () => {
+  let admin;
+  let member;
+  let adminToken;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/test');
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Task.deleteMany({});
+    await Session.deleteMany({});
+    await Impersonation.deleteMany({});
+    await AuditLog.deleteMany({});
+    await Role.deleteMany({});
+    clearRoleCache();
+
+    admin = await new User({
+      username: 'adminuser',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin'
+    }).save();
+    member = await new User({
+      username: 'member',
+      email: 'member@example.com',
+      password: 'password123'
+    }).save();
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@example.com', password: 'password123' });
+    adminToken = response.body.token;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const impersonate = (userId, reason = 'Support ticket #42') => request(app)
+    .post(`/api/users/${userId}/impersonate`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ reason });
+
+  it('should act as the user and audit mutating requests', async () => {
+    const started = await impersonate(member._id).expect(201);
+    const token = started.body.token;
+    expect(started.body.refreshToken).toBeUndefined();
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(me.body.user.username).toBe('member');
+    expect(me.body.impersonatedBy.username).toBe('adminuser');
+    expect(me.headers['x-impersonated-by']).toBe(admin._id.toString());
+
+    await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Created while impersonating' })
+      .expect(201);
+
+    const entries = await AuditLog.find({ impersonation: started.body.impersonation.id });
+    expect(entries.map(e => e.action).sort()).toEqual(['impersonation.request', 'impersonation.start']);
+    const logged = entries.find(e => e.action === 'impersonation.request');
+    expect(logged.actor.toString()).toBe(admin._id.toString());
+    expect(logged.subject.toString()).toBe(member._id.toString());
+    expect(logged.statusCode).toBe(201);
+  });
+
+  it('should block account management while impersonating', async () => {
+    const { body } = await impersonate(member._id).expect(201);
+
+    const response = await request(app)
+      .put('/api/auth/me/password')
+      .set('Authorization', `Bearer ${body.token}`)
+      .send({ currentPassword: 'password123', newPassword: 'newpassword456' })
+      .expect(403);
+
+    expect(response.body.code).toBe('IMPERSONATION_RESTRICTED');
+  });
+
+  it('should end access when impersonation stops', async () => {
+    const { body } = await impersonate(member._id).expect(201);
+
+    await request(app)
+      .post('/api/auth/impersonation/stop')
+      .set('Authorization', `Bearer ${body.token}`)
+      .expect(200);
+
+    await request(app)
+      .get('/api/tasks')
+      .set('Authorization', `Bearer ${body.token}`)
+      .expect(401);
+
+    expect(await AuditLog.countDocuments({ action: 'impersonation.stop' })).toBe(1);
+  });
+
+  it('should refuse to impersonate administrators or oneself', async () => {
+    const other = await new User({
+      username: 'otheradmin',
+      email: 'other@example.com',
+      password: 'password123',
+      role: 'admin'
+    }).save();
+
+    await impersonate(other._id).expect(403);
+    await impersonate(admin._id).expect(400);
+  });
+
+  it('should refuse to impersonate users with permissions the impersonator lacks', async () => {
+    await Role.create({ name: 'support', permissions: ['users:read', 'users:impersonate'] });
+    await Role.create({ name: 'moderator', permissions: ['tasks:create', 'tasks:delete:any'] });
+    await new User({
+      username: 'supporter',
+      email: 'support@example.com',
+      password: 'password123',
+      role: 'support'
+    }).save();
+    const moderator = await new User({
+      username: 'moderator',
+      email: 'moderator@example.com',
+      password: 'password123',
+      role: 'moderator'
+    }).save();
+
+    const { body } = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'support@example.com', password: 'password123' });
+
+    await request(app)
+      .post(`/api/users/${moderator._id}/impersonate`)
+      .set('Authorization', `Bearer ${body.token}`)
+      .send({ reason: 'Support ticket #43' })
+      .expect(403);
+  });
+
+  it('should list audit entries for admins only', async () => {
+    await impersonate(member._id).expect(201);
+
+    const response = await request(app)
+      .get(`/api/audit?user=${member._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.entries).toHaveLength(1);
+    expect(response.body.entries[0].action).toBe('impersonation.start');
+
+    const memberLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'member@example.com', password: 'password123' });
+
+    await request(app)
+      .get('/api/audit')
+      .set('Authorization', `Bearer ${memberLogin.body.token}`)
+      .expect(403);
+  });
+});
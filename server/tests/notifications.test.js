@@ -0,0 +1,164 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Notification = require('../models/Notification');
+const JobLock = require('../models/JobLock');
+const { registerChannel } = require('../services/notifications');
+const { processReminders } = require('../services/reminders');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Reminders and Notifications', () => {
+  let user;
+  let token;
+  let delivered;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/test');
+    registerChannel('test', {
+      deliver: async (notification, recipient) => {
+        delivered.push({ type: notification.type, to: recipient.username });
+      }
+    });
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Task.deleteMany({});
+    await Notification.deleteMany({});
+    await JobLock.deleteMany({});
+    delivered = [];
+
+    user = await new User({
+      username: 'reminded',
+      email: 'reminded@example.com',
+      password: 'password123',
+      notificationPreferences: { channels: ['in-app', 'test'] }
+    }).save();
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'reminded@example.com', password: 'password123' });
+    token = response.body.token;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const createTask = (dueInMs, extra = {}) => Task.create({
+    title: 'Send report',
+    dueDate: new Date(Date.now() + dueInMs),
+    createdBy: user._id,
+    ...extra
+  });
+
+  it('should send each reminder once, at the latest offset passed', async () => {
+    const task = await createTask(48 * HOUR);
+    const at = (msBeforeDue) => new Date(task.dueDate.getTime() - msBeforeDue);
+
+    expect(await processReminders(at(30 * HOUR))).toEqual({ reminder: 0, overdue: 0 });
+    expect(await processReminders(at(23 * HOUR))).toEqual({ reminder: 1, overdue: 0 });
+    expect(await processReminders(at(22 * HOUR))).toEqual({ reminder: 0, overdue: 0 });
+    expect(await processReminders(at(0.5 * HOUR))).toEqual({ reminder: 1, overdue: 0 });
+
+    expect(delivered).toEqual([
+      { type: 'reminder', to: 'reminded' },
+      { type: 'reminder', to: 'reminded' }
+    ]);
+  });
+
+  it('should notify overdue tasks once and skip closed ones', async () => {
+    const open = await createTask(HOUR);
+    await createTask(HOUR, { status: 'completed' });
+    const later = new Date(open.dueDate.getTime() + HOUR);
+
+    await processReminders(later);
+    await processReminders(later);
+
+    const notifications = await Notification.find({ type: 'overdue' });
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0].task).toEqual(open._id);
+    expect(notifications[0].deliveries.map(d => d.status)).toEqual(['sent', 'sent']);
+  });
+
+  it('should notify the assignee and honour their preferences', async () => {
+    const assignee = await new User({
+      username: 'assignee',
+      email: 'assignee@example.com',
+      password: 'password123',
+      notificationPreferences: { channels: ['test'], overdue: false }
+    }).save();
+    const task = await createTask(HOUR, { assignedTo: assignee._id });
+
+    await processReminders(new Date(task.dueDate.getTime() + HOUR));
+    expect(delivered).toEqual([]);
+
+    await processReminders(new Date(task.dueDate.getTime() - 30 * 60 * 1000));
+    expect(delivered).toEqual([{ type: 'reminder', to: 'assignee' }]);
+  });
+
+  it('should list notifications and mark them as read', async () => {
+    const task = await createTask(2 * HOUR);
+    await processReminders(new Date(task.dueDate.getTime() - 30 * 60 * 1000));
+
+    const list = await request(app)
+      .get('/api/notifications')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(list.body.unread).toBe(1);
+    expect(list.body.notifications[0].task.title).toBe('Send report');
+    expect(list.body.notifications[0].key).toBeUndefined();
+
+    await request(app)
+      .patch(`/api/notifications/${list.body.notifications[0]._id}/read`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const unread = await request(app)
+      .get('/api/notifications?unread=true')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(unread.body.notifications).toHaveLength(0);
+  });
+
+  it('should validate notification preferences', async () => {
+    await request(app)
+      .put('/api/notifications/preferences')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ channels: ['carrier-pigeon'] })
+      .expect(400);
+
+    await request(app)
+      .put('/api/notifications/preferences')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ channels: ['webhook'] })
+      .expect(400);
+
+    await request(app)
+      .put('/api/notifications/preferences')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ channels: ['webhook'], webhookUrl: 'http://169.254.169.254/latest/meta-data' })
+      .expect(400);
+
+    const response = await request(app)
+      .put('/api/notifications/preferences')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ reminderOffsets: [15, 120, 15], channels: ['email', 'webhook'], webhookUrl: 'https://93.184.215.14/tasks' })
+      .expect(200);
+
+    expect(response.body.preferences.reminderOffsets).toEqual([120, 15]);
+    expect(response.body.preferences.channels).toEqual(['email', 'webhook']);
+  });
+
+  it('should let only one instance hold the job lock', async () => {
+    expect(await JobLock.acquire('reminders', 'instance-a', 60 * 1000)).toBe(true);
+    expect(await JobLock.acquire('reminders', 'instance-b', 60 * 1000)).toBe(false);
+    expect(await JobLock.acquire('reminders', 'instance-a', 60 * 1000)).toBe(true);
+
+    await JobLock.updateOne({ name: 'reminders' }, { lockedUntil: new Date(Date.now() - 1000) });
+    expect(await JobLock.acquire('reminders', 'instance-b', 60 * 1000)).toBe(true);
+  });
+});
@@ -0,0 +1,143 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const { startMockOidcProvider } = require('./helpers/mockOidcProvider');
+
+describe('OIDC Routes', () => {
+  let provider;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/test');
+
+    provider = await startMockOidcProvider();
+    process.env.OIDC_PROVIDERS = 'mock';
+    process.env.OIDC_MOCK_ISSUER = provider.issuer;
+    process.env.OIDC_MOCK_CLIENT_ID = provider.clientId;
+    process.env.OIDC_MOCK_REDIRECT_URI = 'http://localhost:3000/auth/callback/mock';
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await provider.close();
+    await mongoose.connection.close();
+  });
+
+  // `token` starts the flow and, unless `callbackToken` is given, completes it
+  const signIn = async (claims, token, callbackToken = token) => {
+    const authorize = request(app).get('/api/auth/oidc/mock/authorize');
+    if (token) authorize.set('Authorization', `Bearer ${token}`);
+    const { body } = await authorize.expect(200);
+
+    const { code, state } = provider.issueCode(body.authorizationUrl, claims);
+
+    const callback = request(app).post('/api/auth/oidc/mock/callback');
+    if (callbackToken) callback.set('Authorization', `Bearer ${callbackToken}`);
+    return callback.send({ code, state });
+  };
+
+  const createUserAndLogin = async (username, email) => {
+    await new User({ username, email, password: 'password123' }).save();
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'password123' });
+    return response.body.token;
+  };
+
+  it('should use PKCE in the authorization URL', async () => {
+    const response = await request(app)
+      .get('/api/auth/oidc/mock/authorize')
+      .expect(200);
+
+    const params = new URL(response.body.authorizationUrl).searchParams;
+    expect(params.get('code_challenge_method')).toBe('S256');
+    expect(params.get('code_challenge')).toBeTruthy();
+    expect(params.get('state')).toBeTruthy();
+  });
+
+  it('should create an account on first login', async () => {
+    const response = await signIn({ sub: 'abc-123', email: 'oidc@example.com', email_verified: true });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toHaveProperty('token');
+    expect(response.body.user.emailVerified).toBe(true);
+
+    const again = await signIn({ sub: 'abc-123', email: 'oidc@example.com', email_verified: true });
+    expect(again.status).toBe(200);
+    expect(again.body.user._id).toBe(response.body.user._id);
+  });
+
+  it('should not link to an existing account whose email is unverified', async () => {
+    await new User({
+      username: 'localuser',
+      email: 'local@example.com',
+      password: 'password123'
+    }).save();
+
+    const response = await signIn({ sub: 'xyz', email: 'local@example.com', email_verified: true });
+
+    expect(response.status).toBe(409);
+  });
+
+  it('should link to an existing account when both sides verified the email', async () => {
+    const localUser = await new User({
+      username: 'localuser',
+      email: 'local@example.com',
+      password: 'password123',
+      emailVerified: true
+    }).save();
+
+    const response = await signIn({ sub: 'xyz', email: 'local@example.com', email_verified: true });
+
+    expect(response.status).toBe(200);
+    expect(response.body.user._id).toBe(localUser._id.toString());
+  });
+
+  it('should link a provider to the signed-in user', async () => {
+    await new User({
+      username: 'localuser',
+      email: 'local@example.com',
+      password: 'password123'
+    }).save();
+
+    const loginResponse = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'local@example.com', password: 'password123' });
+
+    const response = await signIn({ sub: 'other-sub', email: 'different@example.com' }, loginResponse.body.token);
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Identity linked successfully');
+    expect(response.body.user.identities[0].provider).toBe('mock');
+  });
+
+  it('should not let another user complete a link', async () => {
+    const victimToken = await createUserAndLogin('victim', 'victim@example.com');
+    const attackerToken = await createUserAndLogin('attacker', 'attacker@example.com');
+
+    const response = await signIn({ sub: 'attacker-sub', email: 'attacker@example.com' }, victimToken, attackerToken);
+    expect(response.status).toBe(403);
+
+    const anonymous = await signIn({ sub: 'attacker-sub', email: 'attacker@example.com' }, victimToken, null);
+    expect(anonymous.status).toBe(403);
+
+    const victim = await User.findOne({ username: 'victim' });
+    expect(victim.identities).toHaveLength(0);
+  });
+
+  it('should reject a replayed state', async () => {
+    const { body } = await request(app).get('/api/auth/oidc/mock/authorize');
+    const { code, state } = provider.issueCode(body.authorizationUrl, { sub: 'abc', email: 'a@example.com' });
+
+    await request(app).post('/api/auth/oidc/mock/callback').send({ code, state });
+
+    await request(app)
+      .post('/api/auth/oidc/mock/callback')
+      .send({ code, state })
+      .expect(400);
+  });
+});
@@ -0,0 +1,92 @@
+const User = require('../models/User');
+const { parseListOptions, paginate, MAX_LIMIT } = require('../utils/pagination');
+const { TASK_SORT_FIELDS, taskFilter } = require('../utils/taskFilters');
+
+const listOptions = (query) => parseListOptions(query, {
+  sortFields: TASK_SORT_FIELDS,
+  defaultSort: '-createdAt'
+});
+
+describe('List options', () => {
+  it('should parse multi-field sorts and clamp the limit', () => {
+    const options = listOptions({ sort: '-priority, dueDate', limit: '5000' });
+
+    expect(options.sort.map(field => [field.path, field.direction])).toEqual([
+      ['priorityRank', -1],
+      ['dueDate', 1]
+    ]);
+    expect(options.key).toBe('-priority,dueDate');
+    expect(options.limit).toBe(MAX_LIMIT);
+    expect(listOptions({}).sort.map(field => field.path)).toEqual(['createdAt']);
+  });
+
+  it('should reject unknown sorts and bad cursors', () => {
+    expect(() => listOptions({ sort: 'password' })).toThrow(/Cannot sort by password/);
+    expect(() => listOptions({ sort: 'dueDate,-dueDate' })).toThrow(/same field twice/);
+    expect(() => listOptions({ cursor: 'not-a-cursor' })).toThrow('Invalid cursor');
+
+    const cursor = Buffer.from(JSON.stringify({
+      s: 'dueDate',
+      v: [null],
+      id: '507f1f77bcf86cd799439011'
+    })).toString('base64url');
+    expect(listOptions({ sort: 'dueDate', cursor }).cursor.values).toEqual([null]);
+    expect(() => listOptions({ cursor })).toThrow(/different sort order/);
+
+    const mistyped = Buffer.from(JSON.stringify({
+      s: 'priority',
+      v: ['high'],
+      id: '507f1f77bcf86cd799439011'
+    })).toString('base64url');
+    expect(() => listOptions({ sort: 'priority', cursor: mistyped })).toThrow('Invalid cursor');
+  });
+
+  it('should leave select: false paths out of listed documents', async () => {
+    const aggregate = jest.spyOn(User, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(User, 'countDocuments').mockResolvedValue(0);
+
+    await paginate(User, {}, parseListOptions({}, {
+      sortFields: { createdAt: { path: 'createdAt', type: 'date' } },
+      defaultSort: '-createdAt'
+    }));
+
+    const pipeline = aggregate.mock.calls[0][0];
+    expect(pipeline[pipeline.length - 1].$project).toMatchObject({
+      password: 0,
+      'twoFactor.secret': 0,
+      passwordResetToken: 0
+    });
+    jest.restoreAllMocks();
+  });
+});
+
+describe('Task filters', () => {
+  const user = { _id: '507f1f77bcf86cd799439011' };
+
+  it('should build conditions from list parameters', () => {
+    const filter = taskFilter({
+      status: 'pending,in-progress',
+      priority: 'urgent',
+      assignedTo: 'me',
+      tags: 'backend, api',
+      tagMatch: 'any',
+      dueBefore: '2026-11-01'
+    }, user);
+
+    expect(filter.$and).toEqual([
+      { status: { $in: ['pending', 'in-progress'] } },
+      { priority: 'urgent' },
+      { assignedTo: user._id },
+      { tags: { $in: ['backend', 'api'] } },
+      { dueDate: { $lt: new Date('2026-11-01') } }
+    ]);
+    expect(taskFilter({}, user)).toEqual({});
+  });
+
+  it('should reject invalid values', () => {
+    expect(() => taskFilter({ priority: 'huge' }, user)).toThrow(/priority must be one of/);
+    expect(() => taskFilter({ createdBy: 'me' }, null)).toThrow('createdBy=me requires authentication');
+    expect(() => taskFilter({ dueAfter: 'soon' }, user)).toThrow('dueAfter must be a date');
+    expect(() => taskFilter({ overdue: 'maybe' }, user)).toThrow('overdue must be true or false');
+  });
+});
@@ -0,0 +1,133 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+
+describe('Project Routes', () => {
+  let owner;
+  let editor;
+  let outsider;
+  let tokens;
+  let project;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/test');
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Task.deleteMany({});
+    await Project.deleteMany({});
+
+    [owner, editor, outsider] = await Promise.all(['owner', 'editor', 'outsider'].map(name =>
+      new User({ username: name, email: `${name}@example.com`, password: 'password123' }).save()
+    ));
+
+    tokens = {};
+    for (const name of ['owner', 'editor', 'outsider']) {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: `${name}@example.com`, password: 'password123' });
+      tokens[name] = response.body.token;
+    }
+
+    const response = await request(app)
+      .post('/api/projects')
+      .set('Authorization', `Bearer ${tokens.owner}`)
+      .send({ name: 'Launch' })
+      .expect(201);
+    project = response.body.project;
+
+    await request(app)
+      .post(`/api/projects/${project._id}/members`)
+      .set('Authorization', `Bearer ${tokens.owner}`)
+      .send({ userId: editor._id, role: 'editor' })
+      .expect(201);
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const createTask = (token, task) => request(app)
+    .post('/api/tasks')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ project: project._id, ...task });
+
+  it('should list projects with the caller\'s role', async () => {
+    const response = await request(app)
+      .get('/api/projects')
+      .set('Authorization', `Bearer ${tokens.editor}`)
+      .expect(200);
+
+    expect(response.body.projects).toHaveLength(1);
+    expect(response.body.projects[0].myRole).toBe('editor');
+  });
+
+  it('should share project tasks with members only', async () => {
+    const { body } = await createTask(tokens.editor, { title: 'Write copy' }).expect(201);
+
+    const listed = await request(app)
+      .get(`/api/tasks?project=${project._id}`)
+      .set('Authorization', `Bearer ${tokens.owner}`)
+      .expect(200);
+    expect(listed.body.tasks).toHaveLength(1);
+
+    await request(app)
+      .put(`/api/tasks/${body.task._id}`)
+      .set('Authorization', `Bearer ${tokens.owner}`)
+      .send({ priority: 'high' })
+      .expect(200);
+
+    await request(app)
+      .get(`/api/tasks/${body.task._id}`)
+      .set('Authorization', `Bearer ${tokens.outsider}`)
+      .expect(403);
+  });
+
+  it('should not let viewers or outsiders add tasks', async () => {
+    await createTask(tokens.outsider, { title: 'Sneaky' }).expect(403);
+
+    await request(app)
+      .put(`/api/projects/${project._id}/members/${editor._id}`)
+      .set('Authorization', `Bearer ${tokens.owner}`)
+      .send({ role: 'viewer' })
+      .expect(200);
+
+    await createTask(tokens.editor, { title: 'Now read-only' }).expect(403);
+  });
+
+  it('should only assign project tasks to members', async () => {
+    await createTask(tokens.owner, { title: 'Review', assignedTo: outsider._id }).expect(400);
+    await createTask(tokens.owner, { title: 'Review', assignedTo: editor._id }).expect(201);
+  });
+
+  it('should keep at least one owner', async () => {
+    await request(app)
+      .delete(`/api/projects/${project._id}/members/${owner._id}`)
+      .set('Authorization', `Bearer ${tokens.owner}`)
+      .expect(400);
+
+    await request(app)
+      .delete(`/api/projects/${project._id}/members/${editor._id}`)
+      .set('Authorization', `Bearer ${tokens.editor}`)
+      .expect(200);
+  });
+
+  it('should refuse to delete a project that still has tasks', async () => {
+    await createTask(tokens.owner, { title: 'Blocking' }).expect(201);
+
+    await request(app)
+      .delete(`/api/projects/${project._id}`)
+      .set('Authorization', `Bearer ${tokens.editor}`)
+      .expect(403);
+
+    const response = await request(app)
+      .delete(`/api/projects/${project._id}`)
+      .set('Authorization', `Bearer ${tokens.owner}`)
+      .expect(409);
+    expect(response.body.tasks).toBe(1);
+  });
+});
@@ -0,0 +1,22 @@
+const { isPublicAddress, checkPublicUrl } = require('../utils/publicAddress');
+
+describe('Public addresses', () => {
+  it('should refuse loopback, private, link-local and unique-local addresses', () => {
+    ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe']
+      .forEach(address => expect(isPublicAddress(address)).toBe(false));
+    expect(isPublicAddress('not-an-address')).toBe(false);
+  });
+
+  it('should accept public addresses', () => {
+    ['93.184.215.14', '8.8.8.8', '172.32.0.1', '2606:4700::1111']
+      .forEach(address => expect(isPublicAddress(address)).toBe(true));
+  });
+
+  it('should check the host of a URL', async () => {
+    await expect(checkPublicUrl('http://127.0.0.1:27017/')).rejects.toMatchObject({ status: 400 });
+    await expect(checkPublicUrl('http://[::ffff:7f00:1]/')).rejects.toMatchObject({ status: 400 });
+    await expect(checkPublicUrl('http://localhost/')).rejects.toMatchObject({ status: 400 });
+    await expect(checkPublicUrl('ftp://93.184.215.14/')).rejects.toMatchObject({ status: 400 });
+    await expect(checkPublicUrl('https://93.184.215.14/hooks')).resolves.toBeInstanceOf(URL);
+  });
+});
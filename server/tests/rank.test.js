@@ -0,0 +1,38 @@
+const { isValidRank, rankBetween, ranksBetween } = require('../utils/rank');
+
+describe('Board ranks', () => {
+  it('should keep appended ranks short and ordered', () => {
+    const ranks = [];
+    let rank = null;
+    for (let i = 0; i < 1000; i++) {
+      rank = rankBetween(rank, null);
+      ranks.push(rank);
+    }
+
+    expect(ranks.slice(0, 3)).toEqual(['a0', 'a1', 'a2']);
+    expect([...ranks].sort()).toEqual(ranks);
+    expect(Math.max(...ranks.map(r => r.length))).toBeLessThanOrEqual(3);
+  });
+
+  it('should insert between neighbours without touching them', () => {
+    let upper = 'a1';
+    for (let i = 0; i < 50; i++) {
+      const rank = rankBetween('a0', upper);
+      expect(rank > 'a0' && rank < upper).toBe(true);
+      expect(isValidRank(rank)).toBe(true);
+      upper = rank;
+    }
+
+    expect(rankBetween(null, 'a0') < 'a0').toBe(true);
+    expect(() => rankBetween('a1', 'a0')).toThrow('Invalid rank');
+  });
+
+  it('should spread several ranks over a range', () => {
+    const ranks = ranksBetween('a0', 'a1', 100);
+
+    expect(ranks).toHaveLength(100);
+    expect([...ranks].sort()).toEqual(ranks);
+    expect(ranks[0] > 'a0' && ranks[99] < 'a1').toBe(true);
+    expect(new Set(ranks).size).toBe(100);
+  });
+});
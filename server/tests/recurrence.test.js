@@ -0,0 +1,49 @@
+const { parseRule, parseRecurrence, formatRule, nextOccurrence } = require('../utils/recurrence');
+
+describe('Recurrence rules', () => {
+  const start = new Date('2025-01-01T09:00:00Z'); // a Wednesday
+
+  const occurrences = (rule, count, from = start) => {
+    const parsed = parseRule(rule);
+    const dates = [];
+    let after = from;
+    while (dates.length < count) {
+      after = nextOccurrence(parsed, start, after);
+      if (!after) break;
+      dates.push(after.toISOString().slice(0, 10));
+    }
+    return dates;
+  };
+
+  it('should parse presets and RRULE strings', () => {
+    expect(formatRule(parseRule('weekly'))).toBe('FREQ=WEEKLY');
+    expect(formatRule(parseRule('RRULE:freq=weekly;byday=FR,MO;interval=2')))
+      .toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR');
+    expect(formatRule(parseRecurrence({ rule: 'monthly', count: 3 }))).toBe('FREQ=MONTHLY;COUNT=3');
+  });
+
+  it('should reject unsupported rules', () => {
+    expect(() => parseRule('FREQ=HOURLY')).toThrow('FREQ');
+    expect(() => parseRule('FREQ=WEEKLY;BYDAY=1MO')).toThrow('BYDAY');
+    expect(() => parseRule('FREQ=DAILY;COUNT=2;UNTIL=20250110')).toThrow('COUNT and UNTIL');
+  });
+
+  it('should step through daily and weekly schedules', () => {
+    expect(occurrences('FREQ=DAILY;INTERVAL=2', 3)).toEqual(['2025-01-03', '2025-01-05', '2025-01-07']);
+    expect(occurrences('FREQ=WEEKLY;BYDAY=MO,WE,FR', 4)).toEqual(['2025-01-03', '2025-01-06', '2025-01-08', '2025-01-10']);
+  });
+
+  it('should skip days a month does not have', () => {
+    const monthEnd = new Date('2025-01-31T09:00:00Z');
+    const parsed = parseRule('FREQ=MONTHLY');
+    expect(nextOccurrence(parsed, monthEnd, monthEnd).toISOString().slice(0, 10)).toBe('2025-03-31');
+
+    const lastDay = parseRule('FREQ=MONTHLY;BYMONTHDAY=-1');
+    expect(nextOccurrence(lastDay, monthEnd, monthEnd).toISOString().slice(0, 10)).toBe('2025-02-28');
+  });
+
+  it('should stop at UNTIL and jump over long gaps', () => {
+    expect(occurrences('FREQ=DAILY;UNTIL=20250103', 5)).toEqual(['2025-01-02', '2025-01-03']);
+    expect(occurrences('monthly', 1, new Date('2030-06-20T00:00:00Z'))).toEqual(['2030-07-01']);
+  });
+});
@@ -0,0 +1,177 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const TaskSeries = require('../models/TaskSeries');
+
+describe('Recurring Tasks', () => {
+  let user;
+  let token;
+  const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/test');
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Task.deleteMany({});
+    await TaskSeries.deleteMany({});
+
+    user = await new User({
+      username: 'chores',
+      email: 'chores@example.com',
+      password: 'password123'
+    }).save();
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'chores@example.com', password: 'password123' });
+    token = response.body.token;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const createRecurring = (recurrence, extra = {}) => request(app)
+    .post('/api/tasks')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ title: 'Water plants', dueDate: tomorrow().toISOString(), recurrence, ...extra });
+
+  const complete = (taskId) => request(app)
+    .patch(`/api/tasks/${taskId}/status`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ status: 'completed' })
+    .expect(200);
+
+  it('should create the next occurrence when one is completed', async () => {
+    const { body } = await createRecurring('weekly').expect(201);
+
+    const completed = await complete(body.task._id);
+    const next = await Task.findById(completed.body.task.nextOccurrence);
+
+    expect(next.title).toBe('Water plants');
+    expect(next.status).toBe('pending');
+    expect(next.occurrence).toBe(2);
+    expect(next.dueDate - new Date(body.task.dueDate)).toBe(7 * 24 * 60 * 60 * 1000);
+
+    // Re-completing the same occurrence does not create another one
+    await request(app)
+      .patch(`/api/tasks/${body.task._id}/status`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'pending' })
+      .expect(200);
+    await complete(body.task._id);
+    expect(await Task.countDocuments()).toBe(2);
+  });
+
+  it('should also follow markComplete and stop after COUNT', async () => {
+    const { body } = await createRecurring({ rule: 'daily', count: 2 }).expect(201);
+
+    const first = await Task.findById(body.task._id);
+    await first.markComplete();
+    const second = await Task.findOne({ occurrence: 2 });
+    await second.markComplete();
+
+    expect(await Task.countDocuments()).toBe(2);
+    expect((await TaskSeries.findById(body.task.series)).endedAt).toBeDefined();
+  });
+
+  it('should complete overdue occurrences', async () => {
+    const { body } = await createRecurring('daily').expect(201);
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    await Task.updateOne({ _id: body.task._id }, { dueDate: yesterday });
+
+    const completed = await complete(body.task._id);
+    const second = await Task.findById(completed.body.task.nextOccurrence);
+    expect(second.occurrence).toBe(2);
+    expect(second.dueDate.getTime()).toBeGreaterThan(Date.now());
+
+    await Task.updateOne({ _id: second._id }, { dueDate: yesterday });
+    await (await Task.findById(second._id)).markComplete();
+
+    const third = await Task.findOne({ series: body.task.series, occurrence: 3 });
+    expect(third).not.toBeNull();
+    expect(third.status).toBe('pending');
+  });
+
+  it('should reject invalid rules and rules without a due date', async () => {
+    await createRecurring('FREQ=HOURLY').expect(400);
+    await createRecurring('weekly', { dueDate: undefined }).expect(400);
+    expect(await TaskSeries.countDocuments()).toBe(0);
+  });
+
+  it('should edit one occurrence or the whole series', async () => {
+    const { body } = await createRecurring('daily').expect(201);
+    const url = `/api/tasks/${body.task._id}`;
+
+    await request(app)
+      .put(url)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Water plants twice' })
+      .expect(200);
+    let series = await TaskSeries.findById(body.task.series);
+    expect(series.template.title).toBe('Water plants');
+
+    await request(app)
+      .put(`${url}?scope=series`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ priority: 'high', recurrence: 'weekly' })
+      .expect(200);
+    series = await TaskSeries.findById(body.task.series);
+    expect(series.template.priority).toBe('high');
+    expect(series.rule).toBe('FREQ=WEEKLY');
+
+    await request(app)
+      .put(url)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ recurrence: 'monthly' })
+      .expect(400);
+
+    const completed = await complete(body.task._id);
+    const next = await Task.findById(completed.body.task.nextOccurrence);
+    expect(next.title).toBe('Water plants');
+    expect(next.priority).toBe('high');
+  });
+
+  it('should edit a series with an overdue occurrence', async () => {
+    const { body } = await createRecurring('daily').expect(201);
+    const overdue = await Task.create({
+      title: 'Water plants',
+      createdBy: user._id,
+      series: body.task.series,
+      occurrence: 2,
+      dueDate: tomorrow()
+    });
+    await Task.updateOne({ _id: overdue._id }, { dueDate: new Date(Date.now() - 24 * 60 * 60 * 1000) });
+
+    await request(app)
+      .put(`/api/tasks/${body.task._id}?scope=series`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Water the garden' })
+      .expect(200);
+
+    expect((await Task.findById(overdue._id)).title).toBe('Water the garden');
+    expect((await TaskSeries.findById(body.task.series)).template.title).toBe('Water the garden');
+  });
+
+  it('should skip or end the series on delete', async () => {
+    const { body } = await createRecurring('daily').expect(201);
+
+    await request(app)
+      .delete(`/api/tasks/${body.task._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    const next = await Task.findOne({ series: body.task.series });
+    expect(next.occurrence).toBe(2);
+
+    await request(app)
+      .delete(`/api/tasks/${next._id}?scope=series`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(await Task.countDocuments()).toBe(0);
+    expect((await TaskSeries.findById(body.task.series)).endedAt).toBeDefined();
+  });
+});
@@ -0,0 +1,193 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Task = require('../models/Task');
+const { clearRoleCache } = require('../services/policy');
+
+describe('Role Routes', () => {
+  let adminToken;
+  let member;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/test');
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Role.deleteMany({});
+    await Task.deleteMany({});
+    clearRoleCache();
+
+    await new User({
+      username: 'adminuser',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin'
+    }).save();
+    member = await new User({
+      username: 'member',
+      email: 'member@example.com',
+      password: 'password123'
+    }).save();
+
+    adminToken = (await login('admin@example.com')).body.token;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const login = (email) => request(app)
+    .post('/api/auth/login')
+    .send({ email, password: 'password123' });
+
+  const createRole = (role) => request(app)
+    .post('/api/roles')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(role);
+
+  it('should not let regular users manage roles', async () => {
+    const { body } = await login('member@example.com');
+
+    const response = await request(app)
+      .get('/api/roles')
+      .set('Authorization', `Bearer ${body.token}`)
+      .expect(403);
+
+    expect(response.body.message).toContain('roles:manage');
+  });
+
+  it('should reject unknown permissions', async () => {
+    await createRole({ name: 'broken', permissions: ['tasks:fly'] }).expect(400);
+  });
+
+  it('should grant the permissions of an assigned custom role', async () => {
+    await createRole({ name: 'support', permissions: ['users:read'] }).expect(201);
+
+    await request(app)
+      .put(`/api/roles/support/users/${member._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const { body } = await login('member@example.com');
+
+    await request(app)
+      .get('/api/users')
+      .set('Authorization', `Bearer ${body.token}`)
+      .expect(200);
+
+    await request(app)
+      .delete(`/api/users/${member._id}`)
+      .set('Authorization', `Bearer ${body.token}`)
+      .expect(403);
+  });
+
+  it('should let tasks:delete:any delete tasks created by others', async () => {
+    await createRole({ name: 'moderator', permissions: ['tasks:create', 'tasks:delete:any'] });
+    const moderator = await new User({
+      username: 'moderator',
+      email: 'moderator@example.com',
+      password: 'password123',
+      role: 'moderator'
+    }).save();
+    const task = await Task.create({ title: 'Spam', createdBy: member._id });
+
+    const { body } = await login(moderator.email);
+
+    await request(app)
+      .delete(`/api/tasks/${task._id}`)
+      .set('Authorization', `Bearer ${body.token}`)
+      .expect(200);
+  });
+
+  it('should protect built-in roles and roles still in use', async () => {
+    await request(app)
+      .delete('/api/roles/admin')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+
+    await createRole({ name: 'support', permissions: ['users:read'] });
+    await User.updateOne({ _id: member._id }, { role: 'support' });
+
+    await request(app)
+      .delete('/api/roles/support')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(409);
+  });
+
+  it('should not demote the last admin', async () => {
+    const admin = await User.findOne({ role: 'admin' });
+
+    await request(app)
+      .put(`/api/roles/user/users/${admin._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+  });
+
+  it('should not let role managers grant more than they hold', async () => {
+    await createRole({ name: 'role-manager', permissions: ['roles:manage', 'users:read', 'users:update'] }).expect(201);
+    await request(app)
+      .put(`/api/roles/role-manager/users/${member._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const { body } = await login('member@example.com');
+    const managerToken = body.token;
+    const admin = await User.findOne({ role: 'admin' });
+
+    await request(app)
+      .put(`/api/roles/admin/users/${member._id}`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(403);
+    await request(app)
+      .put(`/api/users/${member._id}`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ role: 'admin' })
+      .expect(403);
+    await request(app)
+      .put(`/api/roles/user/users/${admin._id}`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(403);
+    await request(app)
+      .post('/api/roles')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ name: 'superuser', permissions: ['*'] })
+      .expect(403);
+
+    expect((await User.findById(member._id)).role).toBe('role-manager');
+  });
+
+  it('should not let user managers change or delete users with more permissions', async () => {
+    await createRole({ name: 'user-manager', permissions: ['users:read', 'users:update', 'users:delete'] }).expect(201);
+    await User.updateOne({ _id: member._id }, { role: 'user-manager' });
+    const otherAdmin = await new User({
+      username: 'otheradmin',
+      email: 'other-admin@example.com',
+      password: 'password123',
+      role: 'admin'
+    }).save();
+
+    const { body } = await login('member@example.com');
+
+    await request(app)
+      .put(`/api/users/${otherAdmin._id}`)
+      .set('Authorization', `Bearer ${body.token}`)
+      .send({ email: 'takeover@example.com' })
+      .expect(403);
+    await request(app)
+      .put(`/api/users/${otherAdmin._id}`)
+      .set('Authorization', `Bearer ${body.token}`)
+      .send({ isActive: false })
+      .expect(403);
+    await request(app)
+      .delete(`/api/users/${otherAdmin._id}`)
+      .set('Authorization', `Bearer ${body.token}`)
+      .expect(403);
+
+    const unchanged = await User.findById(otherAdmin._id);
+    expect(unchanged.email).toBe('other-admin@example.com');
+    expect(unchanged.isActive).toBe(true);
+  });
+});
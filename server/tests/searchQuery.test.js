@@ -0,0 +1,55 @@
+const { parseSearch, highlight } = require('../utils/searchQuery');
+
+describe('Search query language', () => {
+  it('should split free text, phrases and filters', () => {
+    const parsed = parseSearch('tag:backend status:pending,in-progress assignee:me deploy "exact phrase"');
+
+    expect(parsed.text).toBe('deploy "exact phrase"');
+    expect(parsed.terms).toEqual(['deploy', 'exact phrase']);
+    expect(parsed.assignee).toBe('me');
+    expect(parsed.filter.$and).toEqual([
+      { status: { $in: ['pending', 'in-progress'] } },
+      { tags: { $all: [/^backend$/i] } }
+    ]);
+  });
+
+  it('should compare priorities and due dates', () => {
+    const { filter } = parseSearch('priority:>=high priority:<urgent due:<2026-11-01 due:>=2026-10-01');
+
+    expect(filter.$and).toEqual([
+      { priority: { $in: ['high', 'urgent'] } },
+      { priority: { $in: ['low', 'medium', 'high'] } },
+      { dueDate: { $lt: new Date('2026-11-01T00:00:00Z') } },
+      { dueDate: { $gte: new Date('2026-10-01T00:00:00Z') } }
+    ]);
+    expect(parseSearch('due:none').filter.$and).toEqual([{ dueDate: null }]);
+  });
+
+  it('should turn exclusions into escaped patterns', () => {
+    const { filter, text } = parseSearch('-"legacy (v1)" -tag:ops');
+
+    expect(text).toBeNull();
+    expect(filter.$and[0]).toEqual({ tags: { $not: /^ops$/i } });
+    expect(filter.$and[1].$nor[0]).toEqual({ title: /legacy \(v1\)/i });
+  });
+
+  it('should treat special characters and unknown keys as text', () => {
+    expect(parseSearch('fix (login').text).toBe('fix (login');
+    expect(parseSearch('see:docs').text).toBe('see:docs');
+    expect(parseSearch('"unterminated phrase').terms).toEqual(['unterminated phrase']);
+  });
+
+  it('should reject invalid filters', () => {
+    expect(() => parseSearch('priority:huge')).toThrow('priority must be one of');
+    expect(() => parseSearch('status:done')).toThrow('status must be one of');
+    expect(() => parseSearch('due:tomorrow')).toThrow('due must be a date');
+    expect(() => parseSearch('-status:pending')).toThrow('cannot be negated');
+    expect(() => parseSearch('x'.repeat(201))).toThrow('at most 200 characters');
+  });
+
+  it('should highlight matched words and escape HTML', () => {
+    expect(highlight('Deployed <b>api</b> to staging', ['deploying', 'api']))
+      .toBe('<mark>Deployed</mark> &lt;b&gt;<mark>api</mark>&lt;/b&gt; to staging');
+    expect(highlight('Nothing here', ['deploy'])).toBeNull();
+  });
+});
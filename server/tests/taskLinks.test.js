@@ -0,0 +1,171 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Task = require('../models/Task');
+
+describe('Subtasks and Blockers', () => {
+  let user;
+  let token;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/test');
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Task.deleteMany({});
+
+    user = await new User({
+      username: 'planner',
+      email: 'planner@example.com',
+      password: 'password123'
+    }).save();
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'planner@example.com', password: 'password123' });
+    token = response.body.token;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const createTask = (title) => Task.create({ title, createdBy: user._id });
+
+  const link = (taskId, kind, otherId) => request(app)
+    .post(`/api/tasks/${taskId}/${kind}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ taskId: otherId });
+
+  const setStatus = (taskId, data) => request(app)
+    .patch(`/api/tasks/${taskId}/status`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(data);
+
+  it('should roll up subtask progress on the parent', async () => {
+    const parent = await createTask('Release');
+    const [first, second] = await Promise.all([createTask('Docs'), createTask('Changelog')]);
+
+    await link(parent._id, 'subtasks', first._id).expect(200);
+    await link(parent._id, 'subtasks', second._id).expect(200);
+    await setStatus(first._id, { status: 'completed' }).expect(200);
+
+    const response = await request(app)
+      .get(`/api/tasks/${parent._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.subtasks).toHaveLength(2);
+    expect(response.body.progress).toEqual({ total: 2, completed: 1, percent: 50 });
+  });
+
+  it('should reject subtask and blocker cycles', async () => {
+    const [a, b, c] = await Promise.all(['A', 'B', 'C'].map(createTask));
+
+    await link(a._id, 'subtasks', b._id).expect(200);
+    await link(b._id, 'subtasks', c._id).expect(200);
+    await link(c._id, 'subtasks', a._id).expect(400);
+
+    await link(a._id, 'blockers', b._id).expect(200);
+    await link(b._id, 'blockers', c._id).expect(200);
+    await link(c._id, 'blockers', a._id).expect(400);
+    await link(a._id, 'blockers', a._id).expect(400);
+  });
+
+  it('should refuse to complete a blocked task unless forced', async () => {
+    const [task, blocker] = await Promise.all([createTask('Deploy'), createTask('Review')]);
+    await link(task._id, 'blockers', blocker._id).expect(200);
+
+    const refused = await setStatus(task._id, { status: 'completed' }).expect(409);
+    expect(refused.body.code).toBe('TASK_BLOCKED');
+    expect(refused.body.blockers[0].title).toBe('Review');
+
+    await setStatus(task._id, { status: 'completed', force: true }).expect(200);
+  });
+
+  it('should allow completion once blockers are closed or removed', async () => {
+    const [task, blocker, other] = await Promise.all([createTask('Ship'), createTask('QA'), createTask('Legal')]);
+    await link(task._id, 'blockers', blocker._id).expect(200);
+    await link(task._id, 'blockers', other._id).expect(200);
+
+    await setStatus(blocker._id, { status: 'completed' }).expect(200);
+    await request(app)
+      .delete(`/api/tasks/${task._id}/blockers/${other._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    await setStatus(task._id, { status: 'completed' }).expect(200);
+  });
+
+  it('should drop links to deleted tasks', async () => {
+    const [parent, child] = await Promise.all([createTask('Epic'), createTask('Story')]);
+    await link(parent._id, 'subtasks', child._id).expect(200);
+    await link(parent._id, 'blockers', child._id).expect(200);
+
+    await request(app)
+      .delete(`/api/tasks/${child._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const reloaded = await Task.findById(parent._id);
+    expect(reloaded.blockedBy).toHaveLength(0);
+  });
+
+  it('should link and unlink overdue tasks', async () => {
+    const [parent, child] = await Promise.all([createTask('Epic'), createTask('Story')]);
+    await Task.updateMany({ _id: { $in: [parent._id, child._id] } }, { dueDate: new Date(Date.now() - 24 * 60 * 60 * 1000) });
+
+    await link(parent._id, 'subtasks', child._id).expect(200);
+    await link(parent._id, 'blockers', child._id).expect(200);
+
+    await request(app)
+      .delete(`/api/tasks/${parent._id}/subtasks/${child._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    await request(app)
+      .delete(`/api/tasks/${parent._id}/blockers/${child._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+  });
+
+  it('should only add subtasks to tasks the user can edit', async () => {
+    const owner = await new User({
+      username: 'owner',
+      email: 'owner@example.com',
+      password: 'password123'
+    }).save();
+    const parent = await Task.create({ title: 'Public roadmap', createdBy: owner._id, isPublic: true });
+    const child = await createTask('Mine');
+
+    await link(parent._id, 'subtasks', child._id).expect(403);
+
+    await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Sneaky subtask', parent: parent._id })
+      .expect(403);
+
+    expect(await Task.countDocuments({ parent: parent._id })).toBe(0);
+  });
+
+  it('should leave hidden subtasks out of the progress', async () => {
+    const owner = await new User({
+      username: 'owner',
+      email: 'owner@example.com',
+      password: 'password123'
+    }).save();
+    const parent = await createTask('Release');
+    await createTask('Visible').then(task => link(parent._id, 'subtasks', task._id).expect(200));
+    await Task.create({ title: 'Private', createdBy: owner._id, parent: parent._id, status: 'completed' });
+
+    const response = await request(app)
+      .get(`/api/tasks/${parent._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.subtasks).toHaveLength(1);
+    expect(response.body.progress).toEqual({ total: 1, completed: 0, percent: 0 });
+  });
+});
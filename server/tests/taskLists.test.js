@@ -0,0 +1,131 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Task = require('../models/Task');
+
+describe('Task Lists', () => {
+  let user;
+  let other;
+  let token;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/test');
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Task.deleteMany({});
+
+    user = await new User({
+      username: 'lister',
+      email: 'lister@example.com',
+      password: 'password123'
+    }).save();
+    other = await new User({
+      username: 'helper',
+      email: 'helper@example.com',
+      password: 'password123'
+    }).save();
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'lister@example.com', password: 'password123' });
+    token = response.body.token;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const createTask = (title, extra = {}) => Task.create({ title, createdBy: user._id, ...extra });
+  const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  const list = (query) => request(app)
+    .get('/api/tasks')
+    .query(query)
+    .set('Authorization', `Bearer ${token}`);
+
+  it('should page with a cursor without repeating tasks after inserts', async () => {
+    for (let i = 1; i <= 5; i++) {
+      await createTask(`Task ${i}`);
+    }
+
+    const first = await list({ limit: 2 }).expect(200);
+    expect(first.body.tasks.map(task => task.title)).toEqual(['Task 5', 'Task 4']);
+    expect(first.body.pagination).toMatchObject({ total: 5, hasMore: true, page: 1, pages: 3 });
+
+    // A new task would shift page 2 by one, but not the cursor
+    await createTask('Task 6');
+
+    const second = await list({ limit: 2, cursor: first.body.pagination.nextCursor }).expect(200);
+    expect(second.body.tasks.map(task => task.title)).toEqual(['Task 3', 'Task 2']);
+
+    const third = await list({ limit: 2, cursor: second.body.pagination.nextCursor }).expect(200);
+    expect(third.body.tasks.map(task => task.title)).toEqual(['Task 1']);
+    expect(third.body.pagination).toMatchObject({ hasMore: false, nextCursor: null });
+  });
+
+  it('should sort by priority in semantic order and then by due date', async () => {
+    await createTask('Low', { priority: 'low' });
+    await createTask('Urgent later', { priority: 'urgent', dueDate: inDays(5) });
+    await createTask('Urgent soon', { priority: 'urgent', dueDate: inDays(1) });
+    await createTask('High', { priority: 'high' });
+
+    const response = await list({ sort: '-priority,dueDate' }).expect(200);
+    expect(response.body.tasks.map(task => task.title)).toEqual(['Urgent soon', 'Urgent later', 'High', 'Low']);
+    expect(response.body.tasks[0]).not.toHaveProperty('priorityRank');
+
+    const firstPage = await list({ sort: '-priority,dueDate', limit: 1 }).expect(200);
+    const secondPage = await list({ sort: '-priority,dueDate', limit: 1, cursor: firstPage.body.pagination.nextCursor }).expect(200);
+    expect(secondPage.body.tasks.map(task => task.title)).toEqual(['Urgent later']);
+
+    await list({ sort: 'dueDate', cursor: firstPage.body.pagination.nextCursor }).expect(400);
+    await list({ sort: 'password' }).expect(400);
+  });
+
+  it('should filter by assignment, tags, dates and overdue', async () => {
+    await createTask('Mine', { assignedTo: user._id, tags: ['backend', 'api'], dueDate: inDays(2) });
+    await createTask('Delegated', { assignedTo: other._id, tags: ['backend'] });
+    await Task.create({ title: 'Theirs for me', createdBy: other._id, assignedTo: user._id, tags: ['api'] });
+    const late = await createTask('Late', { dueDate: inDays(1) });
+    await Task.updateOne({ _id: late._id }, { dueDate: inDays(-1) });
+
+    const titles = async (query) => (await list(query).expect(200)).body.tasks.map(task => task.title).sort();
+
+    expect(await titles({ assignedTo: 'me' })).toEqual(['Mine', 'Theirs for me']);
+    expect(await titles({ createdBy: 'me', assignedTo: 'none' })).toEqual(['Late']);
+    expect(await titles({ tags: 'backend,api' })).toEqual(['Mine']);
+    expect(await titles({ tags: 'backend,api', tagMatch: 'any' })).toEqual(['Delegated', 'Mine', 'Theirs for me']);
+    expect(await titles({ dueAfter: new Date().toISOString(), dueBefore: inDays(3).toISOString() })).toEqual(['Mine']);
+    expect(await titles({ overdue: 'true' })).toEqual(['Late']);
+
+    await list({ assignedTo: 'someone' }).expect(400);
+  });
+
+  it('should page and filter public tasks and users', async () => {
+    await createTask('Public urgent', { isPublic: true, priority: 'urgent' });
+    await createTask('Public low', { isPublic: true, priority: 'low' });
+    await createTask('Private urgent', { priority: 'urgent' });
+
+    const publicList = await request(app)
+      .get('/api/tasks/public')
+      .query({ priority: 'urgent' })
+      .expect(200);
+    expect(publicList.body.tasks.map(task => task.title)).toEqual(['Public urgent']);
+
+    await request(app)
+      .get('/api/tasks/public')
+      .query({ assignedTo: 'me' })
+      .expect(400);
+
+    await User.updateOne({ _id: user._id }, { role: 'admin' });
+    const users = await request(app)
+      .get('/api/users')
+      .query({ sort: 'username', limit: 1 })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(users.body.users.map(found => found.username)).toEqual(['helper']);
+    expect(users.body.pagination.hasMore).toBe(true);
+  });
+});
@@ -0,0 +1,91 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Task = require('../models/Task');
+
+describe('Task Search', () => {
+  let user;
+  let token;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/test');
+    // The text index has to exist before $text queries can run
+    await Task.init();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Task.deleteMany({});
+
+    user = await new User({
+      username: 'seeker',
+      email: 'seeker@example.com',
+      password: 'password123'
+    }).save();
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'seeker@example.com', password: 'password123' });
+    token = response.body.token;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const createTask = (title, extra = {}) => Task.create({ title, createdBy: user._id, ...extra });
+
+  const search = (query) => request(app)
+    .get('/api/tasks')
+    .query({ search: query })
+    .set('Authorization', `Bearer ${token}`);
+
+  it('should rank by relevance and highlight matches', async () => {
+    await createTask('Write docs', { description: 'Mention the deployment checklist' });
+    await createTask('Deploy api', { tags: ['backend'] });
+    await createTask('Unrelated');
+
+    const response = await search('deploy').expect(200);
+
+    expect(response.body.tasks.map(task => task.title)).toEqual(['Deploy api', 'Write docs']);
+    expect(response.body.pagination.total).toBe(2);
+    expect(response.body.tasks[0].score).toBeGreaterThan(response.body.tasks[1].score);
+    expect(response.body.tasks[0].highlights.title).toBe('<mark>Deploy</mark> api');
+    expect(response.body.tasks[1].highlights.description).toContain('<mark>deployment</mark>');
+  });
+
+  it('should apply structured filters', async () => {
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    await createTask('Fix login', { tags: ['backend'], priority: 'urgent', assignedTo: user._id, dueDate: tomorrow });
+    await createTask('Fix signup', { tags: ['backend'], priority: 'low' });
+    await createTask('Fix footer', { tags: ['frontend'], priority: 'high' });
+
+    let response = await search('fix tag:backend priority:>=high assignee:me').expect(200);
+    expect(response.body.tasks.map(task => task.title)).toEqual(['Fix login']);
+
+    response = await search('priority:>=high -footer').expect(200);
+    expect(response.body.tasks.map(task => task.title)).toEqual(['Fix login']);
+
+    response = await search('due:none status:pending').expect(200);
+    expect(response.body.pagination.total).toBe(2);
+  });
+
+  it('should accept special characters and reject invalid filters', async () => {
+    await createTask('Handle (broken) input');
+
+    const response = await search('(broken').expect(200);
+    expect(response.body.tasks).toHaveLength(1);
+
+    await search('priority:huge').expect(400);
+  });
+
+  it('should only search visible tasks', async () => {
+    const stranger = await new User({ username: 'stranger', email: 'stranger@example.com', password: 'password123' }).save();
+    await Task.create({ title: 'Secret deploy', createdBy: stranger._id });
+    await Task.create({ title: 'Public deploy', createdBy: stranger._id, isPublic: true });
+
+    const response = await search('deploy').expect(200);
+    expect(response.body.tasks.map(task => task.title)).toEqual(['Public deploy']);
+  });
+});
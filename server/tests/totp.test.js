@@ -0,0 +1,56 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+} = require('../utils/totp');
+
+describe('TOTP utilities', () => {
+  // RFC 6238 appendix B test secret (SHA1)
+  const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+
+  it('should round-trip base32 encoding', () => {
+    const buffer = Buffer.from('any carnal pleasure');
+    expect(base32Decode(base32Encode(buffer)).toString()).toBe('any carnal pleasure');
+  });
+
+  it('should match the RFC 6238 test vectors', () => {
+    expect(generateTotp(rfcSecret, { time: 59 * 1000, digits: 8 })).toBe('94287082');
+    expect(generateTotp(rfcSecret, { time: 1111111109 * 1000, digits: 8 })).toBe('07081804');
+    expect(generateTotp(rfcSecret, { time: 1234567890 * 1000, digits: 8 })).toBe('89005924');
+    expect(generateTotp(rfcSecret, { time: 20000000000 * 1000, digits: 8 })).toBe('65353130');
+  });
+
+  it('should accept codes within the drift window', () => {
+    const secret = generateSecret();
+    const time = Date.now();
+    const previous = generateTotp(secret, { time: time - 30 * 1000 });
+
+    expect(verifyTotp(secret, previous, { time })).not.toBeNull();
+    expect(verifyTotp(secret, previous, { time, window: 0 })).toBeNull();
+  });
+
+  it('should refuse codes at or before the last used step', () => {
+    const secret = generateSecret();
+    const time = Date.now();
+    const code = generateTotp(secret, { time });
+    const step = verifyTotp(secret, code, { time });
+
+    expect(verifyTotp(secret, code, { time, afterStep: step })).toBeNull();
+  });
+
+  it('should reject malformed codes', () => {
+    const secret = generateSecret();
+    expect(verifyTotp(secret, 'abcdef')).toBeNull();
+    expect(verifyTotp(secret, '')).toBeNull();
+  });
+
+  it('should build an otpauth URI', () => {
+    const uri = buildOtpauthUri({ secret: 'ABC', accountName: 'me@example.com', issuer: 'Tasks' });
+    expect(uri).toMatch(/^otpauth:\/\/totp\/Tasks%3Ame%40example\.com\?/);
+    expect(uri).toContain('secret=ABC');
+    expect(uri).toContain('issuer=Tasks');
+  });
+});
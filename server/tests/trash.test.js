@@ -0,0 +1,140 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const { purgeExpiredTrash } = require('../services/trash');
+
+describe('Task Trash', () => {
+  let user;
+  let token;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/test');
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Task.deleteMany({});
+    await Comment.deleteMany({});
+    delete process.env.TASK_TRASH_RETENTION_DAYS;
+
+    user = await new User({
+      username: 'tidy',
+      email: 'tidy@example.com',
+      password: 'password123'
+    }).save();
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'tidy@example.com', password: 'password123' });
+    token = response.body.token;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const createTask = (title, extra = {}) => Task.create({ title, createdBy: user._id, ...extra });
+
+  const trash = (taskId) => request(app)
+    .delete(`/api/tasks/${taskId}`)
+    .set('Authorization', `Bearer ${token}`)
+    .expect(200);
+
+  it('should hide trashed tasks from lists, counts and lookups', async () => {
+    const kept = await createTask('Keep me', { isPublic: true });
+    const trashed = await createTask('Bin me', { isPublic: true });
+    await trash(trashed._id);
+
+    const list = await request(app)
+      .get('/api/tasks')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(list.body.tasks.map(task => task.title)).toEqual(['Keep me']);
+    expect(list.body.pagination.total).toBe(1);
+
+    const publicList = await request(app).get('/api/tasks/public').expect(200);
+    expect(publicList.body.pagination.total).toBe(1);
+
+    await request(app)
+      .get(`/api/tasks/${trashed._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(404);
+
+    expect(await Task.countDocuments()).toBe(1);
+    expect((await Task.findByUser(user._id)).map(task => task._id)).toEqual([kept._id]);
+
+    const stored = await Task.findOne({ _id: trashed._id }).setOptions({ withDeleted: true });
+    expect(stored.deletedBy).toEqual(user._id);
+  });
+
+  it('should list and restore trashed tasks', async () => {
+    const task = await createTask('Oops');
+    await trash(task._id);
+
+    const bin = await request(app)
+      .get('/api/tasks/trash')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(bin.body.tasks).toHaveLength(1);
+    expect(bin.body.tasks[0].deletedBy.username).toBe('tidy');
+    expect(bin.body.tasks[0].purgeAt).toBeDefined();
+
+    await request(app)
+      .post(`/api/tasks/${task._id}/restore`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    await request(app)
+      .get(`/api/tasks/${task._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    // Only trashed tasks can be restored
+    await request(app)
+      .post(`/api/tasks/${task._id}/restore`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(404);
+  });
+
+  it('should not show or restore other users\' trash', async () => {
+    const task = await createTask('Private');
+    await trash(task._id);
+
+    await new User({ username: 'nosy', email: 'nosy@example.com', password: 'password123' }).save();
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'nosy@example.com', password: 'password123' });
+
+    const bin = await request(app)
+      .get('/api/tasks/trash')
+      .set('Authorization', `Bearer ${login.body.token}`)
+      .expect(200);
+    expect(bin.body.tasks).toHaveLength(0);
+
+    await request(app)
+      .post(`/api/tasks/${task._id}/restore`)
+      .set('Authorization', `Bearer ${login.body.token}`)
+      .expect(403);
+  });
+
+  it('should purge tasks once the retention period is over', async () => {
+    const old = await createTask('Old news');
+    const recent = await createTask('Fresh');
+    const blocked = await createTask('Waiting', { blockedBy: [old._id] });
+    await Comment.create({ task: old._id, author: user._id, body: 'Gone soon' });
+    await trash(old._id);
+    await trash(recent._id);
+
+    await Task.updateOne({ _id: old._id }, { deletedAt: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000) });
+
+    expect(await purgeExpiredTrash()).toBe(1);
+
+    const remaining = await Task.find({ deletedAt: { $ne: null } });
+    expect(remaining.map(task => task.title)).toEqual(['Fresh']);
+    expect(await Comment.countDocuments({ task: old._id })).toBe(0);
+    expect((await Task.findById(blocked._id)).blockedBy).toHaveLength(0);
+  });
+});
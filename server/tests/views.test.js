@@ -0,0 +1,157 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const View = require('../models/View');
+
+describe('Saved Views', () => {
+  let owner;
+  let colleague;
+  let ownerToken;
+  let colleagueToken;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/test');
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Task.deleteMany({});
+    await View.deleteMany({});
+
+    owner = await new User({
+      username: 'curator',
+      email: 'curator@example.com',
+      password: 'password123'
+    }).save();
+    colleague = await new User({
+      username: 'colleague',
+      email: 'colleague@example.com',
+      password: 'password123'
+    }).save();
+
+    ownerToken = (await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'curator@example.com', password: 'password123' })).body.token;
+    colleagueToken = (await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'colleague@example.com', password: 'password123' })).body.token;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const createView = (data, token = ownerToken) => request(app)
+    .post('/api/views')
+    .set('Authorization', `Bearer ${token}`)
+    .send(data);
+
+  const listTasks = (query, token = ownerToken) => request(app)
+    .get('/api/tasks')
+    .query(query)
+    .set('Authorization', `Bearer ${token}`);
+
+  it('should save a view and apply it to the task list', async () => {
+    await Task.create({ title: 'Urgent mine', priority: 'urgent', createdBy: owner._id, assignedTo: owner._id });
+    await Task.create({ title: 'High mine', priority: 'high', createdBy: owner._id, assignedTo: owner._id });
+    await Task.create({ title: 'Low mine', priority: 'low', createdBy: owner._id, assignedTo: owner._id });
+    await Task.create({ title: 'Urgent unassigned', priority: 'urgent', createdBy: owner._id });
+
+    const created = await createView({
+      name: 'My hot tasks',
+      filters: { assignedTo: 'me', priority: 'high,urgent' },
+      sort: '-priority',
+      columns: ['title', 'priority']
+    }).expect(201);
+
+    expect(created.body.view).toMatchObject({ name: 'My hot tasks', isOwner: true, isDefault: false });
+
+    const response = await listTasks({ view: created.body.view._id }).expect(200);
+    expect(response.body.tasks.map(task => task.title)).toEqual(['Urgent mine', 'High mine']);
+
+    // Parameters given next to the view override its own
+    const overridden = await listTasks({ view: created.body.view._id, priority: 'low' }).expect(200);
+    expect(overridden.body.tasks.map(task => task.title)).toEqual(['Low mine']);
+  });
+
+  it('should reject invalid views', async () => {
+    await createView({ name: 'Bad filter', filters: { password: 'x' } }).expect(400);
+    await createView({ name: 'Bad value', filters: { priority: 'huge' } }).expect(400);
+    await createView({ name: 'Bad sort', sort: 'relevance' }).expect(400);
+    await createView({ name: 'Bad column', columns: ['secret'] }).expect(400);
+  });
+
+  it('should share views with the same access rules as the task list', async () => {
+    await Task.create({ title: 'Private to owner', createdBy: owner._id, assignedTo: owner._id });
+    await Task.create({ title: 'Colleague task', createdBy: colleague._id, assignedTo: colleague._id });
+
+    const created = await createView({
+      name: 'Assigned to me',
+      filters: { assignedTo: 'me' },
+      sharedWith: [colleague._id]
+    }).expect(201);
+    const viewId = created.body.view._id;
+
+    // `me` is whoever opens the view, and hidden tasks stay hidden
+    const response = await listTasks({ view: viewId }, colleagueToken).expect(200);
+    expect(response.body.tasks.map(task => task.title)).toEqual(['Colleague task']);
+
+    const views = await request(app)
+      .get('/api/views')
+      .set('Authorization', `Bearer ${colleagueToken}`)
+      .expect(200);
+    expect(views.body.views).toHaveLength(1);
+    expect(views.body.views[0]).toMatchObject({ isOwner: false });
+    expect(views.body.views[0]).not.toHaveProperty('sharedWith');
+
+    await request(app)
+      .put(`/api/views/${viewId}`)
+      .set('Authorization', `Bearer ${colleagueToken}`)
+      .send({ name: 'Mine now' })
+      .expect(403);
+
+    // Unsharing takes the view away
+    await request(app)
+      .put(`/api/views/${viewId}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ sharedWith: [] })
+      .expect(200);
+    await listTasks({ view: viewId }, colleagueToken).expect(404);
+  });
+
+  it('should keep one default view per user', async () => {
+    await Task.create({ title: 'Pending', createdBy: owner._id });
+    await Task.create({ title: 'Done', status: 'completed', createdBy: owner._id });
+
+    const first = await createView({ name: 'Pending', filters: { status: 'pending' }, isDefault: true }).expect(201);
+    const second = await createView({ name: 'Done', filters: { status: 'completed' } }).expect(201);
+    expect(first.body.view.isDefault).toBe(true);
+
+    let response = await listTasks({ view: 'default' }).expect(200);
+    expect(response.body.tasks.map(task => task.title)).toEqual(['Pending']);
+
+    await request(app)
+      .put(`/api/views/${second.body.view._id}/default`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(200);
+
+    const views = await request(app)
+      .get('/api/views')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(200);
+    expect(views.body.views.filter(view => view.isDefault).map(view => view.name)).toEqual(['Done']);
+
+    response = await listTasks({ view: 'default' }).expect(200);
+    expect(response.body.tasks.map(task => task.title)).toEqual(['Done']);
+
+    // Without a default the list is unfiltered
+    await request(app)
+      .delete(`/api/views/${second.body.view._id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(200);
+    response = await listTasks({ view: 'default' }).expect(200);
+    expect(response.body.pagination.total).toBe(2);
+  });
+});
@@ -0,0 +1,17 @@
+// `@username` mentions in free text. Usernames may contain letters, numbers
+// and underscores; an @ preceded by a word character (as in an email
+// address) is not a mention.
+const MENTION_PATTERN = /(^|[^\w@])@(\w{3,30})\b/g;
+
+// Unique usernames mentioned in a text, in order of first appearance
+const extractMentions = (text) => {
+  const usernames = new Set();
+  for (const match of String(text || '').matchAll(MENTION_PATTERN)) {
+    usernames.add(match[2]);
+  }
+  return [...usernames];
+};
+
+module.exports = {
+  extractMentions
+};
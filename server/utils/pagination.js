@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+
+// Pagination and sorting shared by the list routes.
+//
+// Lists accept `limit` (at most MAX_LIMIT), `sort` and either `page` or an
+// opaque `cursor`. Sorting is by one or more comma separated fields, each
+// descending when prefixed with `-` (e.g. `sort=-priority,dueDate`), and
+// always ends with _id so the order is total. A cursor holds the sort values
+// of the last item of a page; the next page starts right after them, so
+// inserts and deletes do not shift or repeat items the way `page` does.
+// Missing values (e.g. no due date) sort first, as in MongoDB.
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+const listError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Parse `sort`, `limit`, `page` and `cursor` from a query string.
+// `sortFields` maps the names accepted in `sort` to { path, type, compute },
+// where `type` is 'date', 'number' or 'string' and `compute` is an
+// aggregation expression for values not stored on the document.
+const parseListOptions = (query, { sortFields, defaultSort }) => {
+  const sortString = query.sort ? String(query.sort) : defaultSort;
+
+  const sort = sortString.split(',').map(part => {
+    const name = part.trim().replace(/^-/, '');
+    if (!sortFields[name]) {
+      throw listError(`Cannot sort by ${name}; use one of ${Object.keys(sortFields).join(', ')}`);
+    }
+    return { name, ...sortFields[name], direction: part.trim().startsWith('-') ? -1 : 1 };
+  });
+
+  if (new Set(sort.map(field => field.name)).size !== sort.length) {
+    throw listError('Cannot sort by the same field twice');
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const key = sort.map(field => `${field.direction === -1 ? '-' : ''}${field.name}`).join(',');
+
+  return {
+    sort,
+    key,
+    limit,
+    page,
+    cursor: query.cursor ? decodeCursor(String(query.cursor), sort, key) : null
+  };
+};
+
+const encodeCursor = (raw, sort, key) => Buffer.from(JSON.stringify({
+  s: key,
+  v: sort.map(field => (raw[field.path] === undefined ? null : raw[field.path])),
+  id: raw._id.toString()
+})).toString('base64url');
+
+const decodeValue = (value, type) => {
+  if (value === null) return null;
+  if (type === 'date') {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw listError('Invalid cursor');
+    return date;
+  }
+  const valid = type === 'number' ? typeof value === 'number' : typeof value === 'string';
+  if (!valid) throw listError('Invalid cursor');
+  return value;
+};
+
+const decodeCursor = (cursor, sort, key) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch (error) {
+    throw listError('Invalid cursor');
+  }
+
+  if (!decoded || !Array.isArray(decoded.v) || decoded.v.length !== sort.length || !mongoose.isValidObjectId(decoded.id)) {
+    throw listError('Invalid cursor');
+  }
+  if (decoded.s !== key) {
+    throw listError('Cursor was created with a different sort order');
+  }
+
+  return {
+    values: decoded.v.map((value, index) => decodeValue(value, sort[index].type)),
+    id: new mongoose.Types.ObjectId(decoded.id)
+  };
+};
+
+// Condition on a single field for items that come after `value`
+const after = (path, value, direction) => {
+  if (direction === 1) {
+    return value === null ? { [path]: { $ne: null } } : { [path]: { $gt: value } };
+  }
+  // Nothing sorts below a missing value
+  if (value === null) return null;
+  return { $or: [{ [path]: { $lt: value } }, { [path]: null }] };
+};
+
+// Items after the cursor: greater on the first field, or equal on it and
+// greater on the next one, and so on down to _id
+const cursorCondition = (sort, { values, id }) => {
+  const fields = [...sort, { path: '_id', direction: 1 }];
+  const allValues = [...values, id];
+
+  const branches = fields.map((field, index) => {
+    const next = after(field.path, allValues[index], field.direction);
+    if (!next) return null;
+
+    const equal = fields.slice(0, index).map((previous, position) => ({ [previous.path]: allValues[position] }));
+    return equal.length > 0 ? { $and: [...equal, next] } : next;
+  }).filter(Boolean);
+
+  return { $or: branches };
+};
+
+// Paths the schema marks `select: false` (password hashes, secrets, tokens),
+// which find() leaves out by default but an aggregation would return
+const hiddenPaths = (Model) => {
+  const paths = [];
+  Model.schema.eachPath((path, schemaType) => {
+    if (schemaType.options.select === false) paths.push(path);
+  });
+  return paths;
+};
+
+// Run one page of a list. Computed sort values are added with $addFields
+// (`addFields` may add more, e.g. a text score) and left out of the returned
+// documents but kept on `raw`. Returns { items, raw, pagination }.
+const paginate = async (Model, filter, options, { addFields = {}, populate } = {}) => {
+  const { sort, key, limit, page, cursor } = options;
+
+  const computed = { ...addFields };
+  for (const field of sort) {
+    if (field.compute) computed[field.path] = field.compute;
+  }
+
+  // Aggregations skip Mongoose casting, so cast the filter (e.g. ids given
+  // as strings) up front
+  const match = Model.find().cast(Model, filter);
+  const pipeline = [
+    { $match: match },
+    ...(Object.keys(computed).length > 0 ? [{ $addFields: computed }] : []),
+    ...(cursor ? [{ $match: cursorCondition(sort, cursor) }] : []),
+    { $sort: { ...Object.fromEntries(sort.map(field => [field.path, field.direction])), _id: 1 } },
+    ...(cursor ? [] : [{ $skip: (page - 1) * limit }]),
+    // One extra item tells whether there is a next page
+    { $limit: limit + 1 }
+  ];
+  const hidden = hiddenPaths(Model);
+  if (hidden.length > 0) {
+    pipeline.push({ $project: Object.fromEntries(hidden.map(path => [path, 0])) });
+  }
+
+  const [rows, total] = await Promise.all([
+    Model.aggregate(pipeline),
+    Model.countDocuments(filter)
+  ]);
+
+  const hasMore = rows.length > limit;
+  const raw = rows.slice(0, limit);
+
+  const items = raw.map(row => {
+    const stored = { ...row };
+    Object.keys(computed).forEach(path => delete stored[path]);
+    return Model.hydrate(stored);
+  });
+  if (populate) await Model.populate(items, populate);
+
+  return {
+    items,
+    raw,
+    pagination: {
+      limit,
+      total,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(raw[raw.length - 1], sort, key) : null,
+      // Page numbers only make sense without a cursor
+      ...(!cursor && { page, pages: Math.ceil(total / limit) })
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseListOptions,
+  paginate
+};
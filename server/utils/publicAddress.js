@@ -0,0 +1,91 @@
+const dns = require('dns');
+const net = require('net');
+
+// Checks that keep outgoing requests to user supplied URLs (e.g. notification
+// webhooks) away from the server's own network: loopback, private,
+// link-local, unique-local and other non-public addresses are refused.
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges.
+
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv6'));
+
+const addressError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !blocked.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Drop-in for dns.lookup, for the `lookup` option of http.request, that fails
+// when the host resolves to a non-public address. The check happens on the
+// address actually connected to, so the host cannot change in between.
+const lookupPublic = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (!addresses.every(isPublicAddress)) {
+      return callback(addressError(`${hostname} resolves to a non-public address`));
+    }
+    callback(null, address, family);
+  });
+};
+
+// Check that a URL is http(s) and that its host only resolves to public
+// addresses. Throws errors with a 400 status.
+const checkPublicUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw addressError('Invalid URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw addressError('URL must use http or https');
+  }
+
+  // IPv6 literals keep their brackets in `hostname`
+  const hostname = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      throw addressError(`${hostname} could not be resolved`);
+    }
+  }
+
+  if (!addresses.every(isPublicAddress)) {
+    throw addressError(`${hostname} resolves to a non-public address`);
+  }
+  return parsed;
+};
+
+module.exports = { isPublicAddress, lookupPublic, checkPublicUrl };
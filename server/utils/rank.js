@@ -0,0 +1,149 @@
+// Lexicographic ranks for ordering board cards.
+//
+// A rank is a string that sorts (byte-wise, as MongoDB compares strings)
+// between its neighbours, so a card can be placed anywhere by writing only
+// its own rank. A rank is an integer part, whose first character gives its
+// length ('a' to 'z' for 2 to 27 characters, 'A' to 'Z' for 27 down to 2
+// for values below zero), followed by an optional fraction in base 62 that
+// never ends in '0'. Appending keeps ranks short by incrementing the integer
+// part; inserting between two cards extends the fraction.
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const INTEGER_ZERO = 'a0';
+const SMALLEST_INTEGER = `A${'0'.repeat(26)}`;
+
+const rankError = (message) => new Error(`Invalid rank: ${message}`);
+
+const integerLength = (head) => {
+  if (head >= 'a' && head <= 'z') return head.charCodeAt(0) - 'a'.charCodeAt(0) + 2;
+  if (head >= 'A' && head <= 'Z') return 'Z'.charCodeAt(0) - head.charCodeAt(0) + 2;
+  throw rankError(`unexpected head ${head}`);
+};
+
+const integerPart = (rank) => {
+  const length = integerLength(rank[0]);
+  if (length > rank.length) throw rankError(rank);
+  return rank.slice(0, length);
+};
+
+const isValidRank = (rank) => {
+  if (typeof rank !== 'string' || rank.length === 0) return false;
+  try {
+    const integer = integerPart(rank);
+    const characters = [...rank].every(character => DIGITS.includes(character));
+    return characters && rank !== SMALLEST_INTEGER && !(rank.length > integer.length && rank.endsWith('0'));
+  } catch (error) {
+    return false;
+  }
+};
+
+// Fraction strictly between `a` and `b` (null for no upper bound); neither
+// ends in '0'
+const midpoint = (a, b) => {
+  if (b !== null) {
+    // Keep the common prefix, treating a missing digit of `a` as '0'
+    let n = 0;
+    while ((a[n] || '0') === b[n]) n++;
+    if (n > 0) return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+  }
+
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+  // Consecutive digits: take b's first digit if more of b follows it,
+  // otherwise keep a's and go one level deeper
+  if (b && b.length > 1) return b.slice(0, 1);
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+};
+
+const incrementInteger = (integer) => {
+  const [head, ...digits] = integer;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    const next = DIGITS.indexOf(digits[i]) + 1;
+    if (next < DIGITS.length) {
+      digits[i] = DIGITS[next];
+      return head + digits.join('');
+    }
+    digits[i] = '0';
+  }
+
+  // Carried past the first digit: one more (or, below zero, one fewer) digit
+  if (head === 'Z') return INTEGER_ZERO;
+  if (head === 'z') return null;
+  const nextHead = String.fromCharCode(head.charCodeAt(0) + 1);
+  if (nextHead > 'a') digits.push('0');
+  else digits.pop();
+  return nextHead + digits.join('');
+};
+
+const decrementInteger = (integer) => {
+  const [head, ...digits] = integer;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    const previous = DIGITS.indexOf(digits[i]) - 1;
+    if (previous >= 0) {
+      digits[i] = DIGITS[previous];
+      return head + digits.join('');
+    }
+    digits[i] = 'z';
+  }
+
+  if (head === 'a') return 'Zz';
+  if (head === 'A') return null;
+  const previousHead = String.fromCharCode(head.charCodeAt(0) - 1);
+  if (previousHead < 'Z') digits.push('z');
+  else digits.pop();
+  return previousHead + digits.join('');
+};
+
+// A rank strictly between `a` and `b`, either of which may be null for the
+// start or end of the list
+const rankBetween = (a, b) => {
+  if (a !== null && !isValidRank(a)) throw rankError(a);
+  if (b !== null && !isValidRank(b)) throw rankError(b);
+  if (a !== null && b !== null && a >= b) throw rankError(`${a} is not below ${b}`);
+
+  if (a === null) {
+    if (b === null) return INTEGER_ZERO;
+
+    const integerB = integerPart(b);
+    const fractionB = b.slice(integerB.length);
+    if (integerB === SMALLEST_INTEGER) return integerB + midpoint('', fractionB);
+    if (integerB < b) return integerB;
+    const decremented = decrementInteger(integerB);
+    if (decremented === null) throw rankError('no rank below the smallest one');
+    return decremented;
+  }
+
+  const integerA = integerPart(a);
+  const fractionA = a.slice(integerA.length);
+
+  if (b === null) {
+    const incremented = incrementInteger(integerA);
+    return incremented === null ? integerA + midpoint(fractionA, null) : incremented;
+  }
+
+  const integerB = integerPart(b);
+  const fractionB = b.slice(integerB.length);
+  if (integerA === integerB) return integerA + midpoint(fractionA, fractionB);
+
+  const incremented = incrementInteger(integerA);
+  return incremented < b ? incremented : integerA + midpoint(fractionA, null);
+};
+
+// `count` ranks in increasing order, all strictly between `a` and `b`.
+// Splitting the range in halves keeps them about as short as possible.
+const ranksBetween = (a, b, count) => {
+  if (count === 0) return [];
+
+  const middle = Math.floor(count / 2);
+  const rank = rankBetween(a, b);
+  return [...ranksBetween(a, rank, middle), rank, ...ranksBetween(rank, b, count - middle - 1)];
+};
+
+module.exports = {
+  isValidRank,
+  rankBetween,
+  ranksBetween
+};
@@ -0,0 +1,209 @@
+// Recurrence rules: a subset of RFC 5545 RRULE.
+//
+// Supported parts are FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL,
+// BYDAY (plain weekdays such as MO,WE,FR), BYMONTHDAY (1 to 31, or -1 for
+// the last day of the month), COUNT and UNTIL. Weeks start on Monday and all
+// calculations are done in UTC, keeping the time of day of the first
+// occurrence.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const PRESETS = {
+  daily: 'FREQ=DAILY',
+  weekly: 'FREQ=WEEKLY',
+  monthly: 'FREQ=MONTHLY',
+  yearly: 'FREQ=YEARLY'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Periods examined before giving up, e.g. BYMONTHDAY=31 with FREQ=YEARLY
+// can go a while without a match but never this long
+const MAX_PERIODS = 1000;
+
+const ruleError = (message) => {
+  const error = new Error(`Invalid recurrence rule: ${message}`);
+  error.status = 400;
+  return error;
+};
+
+const parsePositiveInt = (value, name) => {
+  if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+    throw ruleError(`${name} must be a positive integer`);
+  }
+  return parseInt(value, 10);
+};
+
+// UNTIL as 20250131, 20250131T090000Z or any ISO 8601 date
+const parseUntil = (value) => {
+  const compact = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  const date = compact
+    ? new Date(Date.UTC(compact[1], compact[2] - 1, compact[3], compact[4] || 23, compact[5] || 59, compact[6] || 59))
+    : new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw ruleError('UNTIL must be a date');
+  }
+  return date;
+};
+
+// Parse a preset name (daily, weekly, monthly, yearly) or an RRULE string,
+// with or without the `RRULE:` prefix
+const parseRule = (input) => {
+  if (typeof input !== 'string' || !input.trim()) {
+    throw ruleError('rule must be a non-empty string');
+  }
+
+  const source = PRESETS[input.trim().toLowerCase()] || input.trim().replace(/^RRULE:/i, '');
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [] };
+
+  for (const part of source.split(';').filter(Boolean)) {
+    const [rawKey, value = ''] = part.split('=');
+    const key = rawKey.toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value.toUpperCase())) {
+          throw ruleError(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+        }
+        rule.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = parsePositiveInt(value, 'INTERVAL');
+        break;
+      case 'BYDAY':
+        rule.byDay = value.toUpperCase().split(',').map(day => {
+          if (!WEEKDAYS.includes(day)) throw ruleError(`unsupported BYDAY value ${day}`);
+          return WEEKDAYS.indexOf(day);
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(day => {
+          const number = parseInt(day, 10);
+          if (!/^-?\d+$/.test(day) || number === 0 || number > 31 || number < -1) {
+            throw ruleError(`unsupported BYMONTHDAY value ${day}`);
+          }
+          return number;
+        });
+        break;
+      case 'COUNT':
+        rule.count = parsePositiveInt(value, 'COUNT');
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      default:
+        throw ruleError(`unsupported part ${key}`);
+    }
+  }
+
+  if (!rule.freq) throw ruleError('FREQ is required');
+  if (rule.count && rule.until) throw ruleError('COUNT and UNTIL cannot be combined');
+  if (rule.byMonthDay.length > 0 && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    throw ruleError('BYMONTHDAY is only supported with FREQ=MONTHLY or FREQ=YEARLY');
+  }
+
+  rule.byDay.sort((a, b) => a - b);
+  rule.byMonthDay.sort((a, b) => a - b);
+  return rule;
+};
+
+// Parse the `recurrence` accepted by the task routes: a preset or RRULE
+// string, or { rule, count, until } to end a preset-based series
+const parseRecurrence = (input) => {
+  const { rule, count, until } = typeof input === 'string' ? { rule: input } : (input || {});
+  if (typeof rule !== 'string' || !rule.trim()) {
+    throw ruleError('rule must be a non-empty string');
+  }
+
+  const parts = [PRESETS[rule.trim().toLowerCase()] || rule.trim().replace(/^RRULE:/i, '')];
+  if (count !== undefined && count !== null) parts.push(`COUNT=${count}`);
+  if (until !== undefined && until !== null) parts.push(`UNTIL=${until}`);
+  return parseRule(parts.join(';'));
+};
+
+const formatUntil = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Canonical RRULE string for a parsed rule
+const formatRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.map(day => WEEKDAYS[day]).join(',')}`);
+  if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${formatUntil(rule.until)}`);
+  return parts.join(';');
+};
+
+const timeOfDay = (date) => date.getTime() % DAY_MS;
+const startOfDay = (date) => date.getTime() - timeOfDay(date);
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Occurrences falling in the period with the given index, in order
+const occurrencesInPeriod = (rule, start, index) => {
+  const time = timeOfDay(start);
+
+  if (rule.freq === 'DAILY') {
+    const day = new Date(startOfDay(start) + index * rule.interval * DAY_MS + time);
+    return rule.byDay.length === 0 || rule.byDay.includes(day.getUTCDay()) ? [day] : [];
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const mondayOffset = (start.getUTCDay() + 6) % 7;
+    const weekStart = startOfDay(start) - mondayOffset * DAY_MS + index * rule.interval * 7 * DAY_MS;
+    const days = rule.byDay.length > 0 ? rule.byDay : [start.getUTCDay()];
+    return days
+      .map(day => new Date(weekStart + ((day + 6) % 7) * DAY_MS + time))
+      .sort((a, b) => a - b);
+  }
+
+  const months = rule.freq === 'MONTHLY' ? index * rule.interval : index * rule.interval * 12;
+  const year = start.getUTCFullYear() + Math.floor((start.getUTCMonth() + months) / 12);
+  const month = (start.getUTCMonth() + months) % 12;
+  const lastDay = daysInMonth(year, month);
+  const days = rule.byMonthDay.length > 0 ? rule.byMonthDay : [start.getUTCDate()];
+
+  // Days the month does not have (e.g. the 31st in April) are skipped
+  return days
+    .map(day => (day === -1 ? lastDay : day))
+    .filter(day => day <= lastDay)
+    .sort((a, b) => a - b)
+    .map(day => new Date(Date.UTC(year, month, day) + time));
+};
+
+// Index of a period at or just before the one containing `date`, so long
+// running series do not have to be replayed from the start
+const periodIndexNear = (rule, start, date) => {
+  const elapsed = date.getTime() - start.getTime();
+  if (elapsed <= 0) return 0;
+
+  if (rule.freq === 'DAILY') return Math.floor(elapsed / (rule.interval * DAY_MS));
+  if (rule.freq === 'WEEKLY') return Math.max(Math.floor(elapsed / (rule.interval * 7 * DAY_MS)) - 1, 0);
+
+  const months = (date.getUTCFullYear() - start.getUTCFullYear()) * 12 + date.getUTCMonth() - start.getUTCMonth();
+  const perPeriod = rule.freq === 'MONTHLY' ? rule.interval : rule.interval * 12;
+  return Math.max(Math.floor(months / perPeriod) - 1, 0);
+};
+
+// First occurrence strictly after `after` for a series starting at `start`,
+// or null once the rule has ended. COUNT is not applied here because callers
+// track how many occurrences they have created.
+const nextOccurrence = (rule, start, after) => {
+  const first = periodIndexNear(rule, start, after);
+
+  for (let index = first; index < first + MAX_PERIODS; index++) {
+    for (const candidate of occurrencesInPeriod(rule, start, index)) {
+      if (candidate < start || candidate <= after) continue;
+      if (rule.until && candidate > rule.until) return null;
+      return candidate;
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  PRESETS,
+  parseRule,
+  parseRecurrence,
+  formatRule,
+  nextOccurrence
+};
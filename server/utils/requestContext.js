@@ -0,0 +1,34 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request state for code that has no access to `req`, such as model
+// hooks recording who made a change
+const storage = new AsyncLocalStorage();
+
+// Express middleware opening a fresh context for the rest of the request.
+// Mount it after the body parsers, whose stream callbacks would otherwise
+// run outside the context.
+const requestContext = (req, res, next) => {
+  storage.run({}, next);
+};
+
+// Run a function, e.g. a background job, in its own context
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+const getContext = () => storage.getStore() || {};
+
+// Record the authenticated user (and any admin impersonating them) as the
+// actor of the current request
+const setActor = (req) => {
+  const store = storage.getStore();
+  if (!store || !req.user) return;
+
+  store.actor = req.user._id;
+  store.impersonator = req.impersonation ? req.impersonation.impersonator._id : undefined;
+};
+
+module.exports = {
+  requestContext,
+  runWithContext,
+  getContext,
+  setActor
+};
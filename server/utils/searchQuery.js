@@ -0,0 +1,203 @@
+// Task search query language.
+//
+// Free text is matched against the text index on title, description and
+// tags. Besides plain words the query may contain:
+//   "exact phrase"          words that must appear together
+//   -word, -"phrase"        text that must not appear
+//   tag:backend, -tag:ops   tasks with (or without) a tag, in any case
+//   status:pending          one status, or several separated by commas
+//   priority:>=high         priority compared with =, >, >=, < or <=
+//   due:<2026-11-01         due date compared with a day; due:none for none
+//   assignee:me             assignee by username, `me` or `none`
+// Unknown `key:value` tokens are treated as plain text.
+
+const STATUSES = ['pending', 'in-progress', 'completed', 'cancelled'];
+// Lowest to highest, for comparisons
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+const FILTER_KEYS = ['tag', 'status', 'priority', 'due', 'assignee'];
+const MAX_QUERY_LENGTH = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Optional `-`, optional `key:`, then a quoted phrase or a bare word
+const TOKEN_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+const COMPARISON_PATTERN = /^(>=|<=|>|<|=)?(.+)$/;
+
+const searchError = (message) => {
+  const error = new Error(`Invalid search: ${message}`);
+  error.status = 400;
+  return error;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const splitComparison = (value) => {
+  const [, op = '=', operand] = value.match(COMPARISON_PATTERN);
+  return { op, operand };
+};
+
+const priorityFilter = (value) => {
+  const { op, operand } = splitComparison(value.toLowerCase());
+  const index = PRIORITIES.indexOf(operand);
+  if (index === -1) {
+    throw searchError(`priority must be one of ${PRIORITIES.join(', ')}`);
+  }
+
+  const matching = {
+    '=': [operand],
+    '>': PRIORITIES.slice(index + 1),
+    '>=': PRIORITIES.slice(index),
+    '<': PRIORITIES.slice(0, index),
+    '<=': PRIORITIES.slice(0, index + 1)
+  }[op];
+  return { $in: matching };
+};
+
+// Comparisons are by whole (UTC) day: due:2026-11-01 matches the entire day
+const dueFilter = (value) => {
+  if (value.toLowerCase() === 'none') return null;
+
+  const { op, operand } = splitComparison(value);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(operand) || Number.isNaN(Date.parse(operand))) {
+    throw searchError('due must be a date such as 2026-11-01, optionally with <, <=, > or >=');
+  }
+
+  const day = new Date(`${operand}T00:00:00.000Z`);
+  const nextDay = new Date(day.getTime() + DAY_MS);
+  return {
+    '=': { $gte: day, $lt: nextDay },
+    '>': { $gte: nextDay },
+    '>=': { $gte: day },
+    '<': { $lt: day },
+    '<=': { $lt: nextDay }
+  }[op];
+};
+
+// Words and phrases as one string for Mongo's $text operator, which treats
+// `-` and `"` specially; they only appear where the parser put them
+const textSearchString = (words, phrases) => [
+  ...words.map(word => word.replace(/["-]/g, ' ').trim()).filter(Boolean),
+  ...phrases.map(phrase => `"${phrase.replace(/"/g, '')}"`)
+].join(' ');
+
+// Parse a search string into:
+//   filter    - Mongo conditions for the structured parts and exclusions
+//   text      - the $text search string, or null without free text
+//   terms     - words and phrases to highlight in results
+//   assignee  - the raw assignee value, resolved by the caller
+const parseSearch = (input) => {
+  const source = String(input || '').trim();
+  if (source.length > MAX_QUERY_LENGTH) {
+    throw searchError(`query must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  const words = [];
+  const phrases = [];
+  const excluded = [];
+  const tags = [];
+  const conditions = [];
+  let assignee;
+
+  for (const [, negate, rawKey, quoted, bare] of source.matchAll(TOKEN_PATTERN)) {
+    const key = rawKey && rawKey.toLowerCase();
+    const value = (quoted !== undefined ? quoted : bare || '').trim();
+    if (!value) continue;
+
+    if (negate && FILTER_KEYS.includes(key) && key !== 'tag') {
+      throw searchError(`${key} filters cannot be negated`);
+    }
+
+    switch (key) {
+      case 'tag': {
+        const pattern = new RegExp(`^${escapeRegExp(value)}$`, 'i');
+        if (negate) conditions.push({ tags: { $not: pattern } });
+        else tags.push(pattern);
+        break;
+      }
+      case 'status': {
+        const statuses = value.toLowerCase().split(',');
+        const unknown = statuses.find(status => !STATUSES.includes(status));
+        if (unknown) throw searchError(`status must be one of ${STATUSES.join(', ')}`);
+        conditions.push({ status: { $in: statuses } });
+        break;
+      }
+      case 'priority':
+        conditions.push({ priority: priorityFilter(value) });
+        break;
+      case 'due':
+        conditions.push({ dueDate: dueFilter(value) });
+        break;
+      case 'assignee':
+        assignee = value;
+        break;
+      default: {
+        // Not a filter: the whole token (key included) is text
+        const text = rawKey ? `${rawKey}:${value}` : value;
+        if (negate) excluded.push(text);
+        else if (quoted !== undefined && !rawKey) phrases.push(text);
+        else words.push(text);
+      }
+    }
+  }
+
+  if (tags.length > 0) conditions.push({ tags: { $all: tags } });
+
+  // Exclusions work without any positive text, which $text cannot do
+  if (excluded.length > 0) {
+    const patterns = excluded.map(text => new RegExp(escapeRegExp(text), 'i'));
+    conditions.push({
+      $nor: patterns.flatMap(pattern => [
+        { title: pattern },
+        { description: pattern },
+        { tags: pattern }
+      ])
+    });
+  }
+
+  const text = textSearchString(words, phrases);
+
+  return {
+    filter: conditions.length > 0 ? { $and: conditions } : {},
+    text: text || null,
+    terms: [...words, ...phrases],
+    assignee
+  };
+};
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Rough stem so highlighting follows the text index's stemming, e.g. a
+// search for "deploying" also marks "deployed"
+const stem = (term) => {
+  const stemmed = term.replace(/(ing|ed|es|s)$/i, '');
+  return stemmed.length >= 3 ? stemmed : term;
+};
+
+// HTML-escaped copy of `value` with matched words wrapped in <mark>, or null
+// when nothing matches
+const highlight = (value, terms) => {
+  if (!value || terms.length === 0) return null;
+
+  const alternatives = terms
+    .map(term => escapeRegExp(term.includes(' ') ? term : stem(term)))
+    .sort((a, b) => b.length - a.length);
+  const pattern = new RegExp(`((?<!\\w)(?:${alternatives.join('|')})\\w*)`, 'gi');
+
+  const parts = String(value).split(pattern);
+  if (parts.length === 1) return null;
+
+  // split() puts the captured matches at the odd indexes
+  return parts
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+};
+
+module.exports = {
+  parseSearch,
+  highlight
+};
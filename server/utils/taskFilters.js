@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// Filters and sort fields shared by the task list routes.
+//
+// Query parameters:
+//   status, priority                 one value, or several separated by commas
+//   project                          project ID
+//   assignedTo                       `me`, `none` or a user ID
+//   createdBy                        `me` or a user ID
+//   tags                             comma separated; tasks with all of them,
+//                                    or any of them with tagMatch=any
+//   dueAfter, dueBefore              due date range (ISO 8601 dates)
+//   createdAfter, createdBefore      creation date range
+//   updatedAfter, updatedBefore      last update range
+//   overdue                          `true` for open tasks whose due date has
+//                                    passed, `false` for all others
+
+const STATUSES = ['pending', 'in-progress', 'completed', 'cancelled'];
+// Lowest to highest, which is also the sort order of `priority`
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+const DATE_RANGES = {
+  due: 'dueDate',
+  created: 'createdAt',
+  updated: 'updatedAt'
+};
+
+const TASK_SORT_FIELDS = {
+  createdAt: { path: 'createdAt', type: 'date' },
+  updatedAt: { path: 'updatedAt', type: 'date' },
+  dueDate: { path: 'dueDate', type: 'date' },
+  priority: {
+    path: 'priorityRank',
+    type: 'number',
+    compute: { $indexOfArray: [PRIORITIES, '$priority'] }
+  }
+};
+
+const filterError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const listOf = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+const enumFilter = (name, value, allowed) => {
+  const values = listOf(value);
+  const unknown = values.find(item => !allowed.includes(item));
+  if (unknown) throw filterError(`${name} must be one of ${allowed.join(', ')}`);
+  return values.length === 1 ? values[0] : { $in: values };
+};
+
+const dateValue = (name, value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw filterError(`${name} must be a date`);
+  return date;
+};
+
+// `me` needs a signed in user; the public list has none
+const userValue = (name, value, user, { allowNone = false } = {}) => {
+  if (value === 'me') {
+    if (!user) throw filterError(`${name}=me requires authentication`);
+    return user._id;
+  }
+  if (allowNone && value === 'none') return null;
+  if (!mongoose.isValidObjectId(value)) throw filterError(`Invalid ${name}`);
+  return value;
+};
+
+// Build a Task filter from list query parameters. Throws errors with a 400
+// status for invalid values.
+const taskFilter = (query, user) => {
+  const conditions = [];
+
+  if (query.status) conditions.push({ status: enumFilter('status', query.status, STATUSES) });
+  if (query.priority) conditions.push({ priority: enumFilter('priority', query.priority, PRIORITIES) });
+
+  if (query.project) {
+    if (!mongoose.isValidObjectId(query.project)) throw filterError('Invalid project ID');
+    conditions.push({ project: query.project });
+  }
+
+  if (query.assignedTo) {
+    conditions.push({ assignedTo: userValue('assignedTo', query.assignedTo, user, { allowNone: true }) });
+  }
+  if (query.createdBy) {
+    conditions.push({ createdBy: userValue('createdBy', query.createdBy, user) });
+  }
+
+  if (query.tags) {
+    if (query.tagMatch && !['all', 'any'].includes(query.tagMatch)) {
+      throw filterError('tagMatch must be all or any');
+    }
+    const tags = listOf(query.tags);
+    conditions.push({ tags: { [query.tagMatch === 'any' ? '$in' : '$all']: tags } });
+  }
+
+  for (const [prefix, path] of Object.entries(DATE_RANGES)) {
+    const range = {};
+    if (query[`${prefix}After`]) range.$gte = dateValue(`${prefix}After`, query[`${prefix}After`]);
+    if (query[`${prefix}Before`]) range.$lt = dateValue(`${prefix}Before`, query[`${prefix}Before`]);
+    if (Object.keys(range).length > 0) conditions.push({ [path]: range });
+  }
+
+  if (query.overdue !== undefined) {
+    if (!['true', 'false'].includes(String(query.overdue))) throw filterError('overdue must be true or false');
+    const overdue = { dueDate: { $lt: new Date() }, status: { $nin: CLOSED_STATUSES } };
+    conditions.push(String(query.overdue) === 'true' ? overdue : { $nor: [overdue] });
+  }
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+module.exports = {
+  TASK_SORT_FIELDS,
+  taskFilter
+};
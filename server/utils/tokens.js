@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Hash an opaque token before it is stored or looked up
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a random opaque token (hex encoded)
+const generateRandomToken = (bytes = 40) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Generate a short-lived JWT access token bound to the user's token version
+const generateAccessToken = (user, claims = {}, options = {}) => {
+  const payload = { userId: user._id, ver: user.tokenVersion || 0, ...claims };
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: options.expiresIn || process.env.JWT_EXPIRES_IN || '15m'
+  });
+};
+
+module.exports = { hashToken, generateRandomToken, generateAccessToken };